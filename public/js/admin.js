@@ -0,0 +1,326 @@
+/**
+ * Lead pipeline dashboard for Excaliber Construction (/admin)
+ * Lists stored quote requests with search, service and stage filters, and lets
+ * staff move leads through the pipeline, keep notes and export CSV. The
+ * customer-facing progress shown on /status is set from the same panel.
+ * Server side: server/admin.py and server/leads.py.
+ */
+
+class AdminController {
+    constructor() {
+        this.root = document.getElementById('adminDashboard');
+        this.endpoint = this.root ? this.root.getAttribute('data-endpoint') : '/admin/api/leads';
+        this.stages = [];
+        this.progress = [];
+        this.filters = { search: '', service: '', status: '' };
+        this.leads = [];
+        this.selectedId = null;
+        this.searchTimer = null;
+        this.searchDelay = 300;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.root) return;
+
+        this.loadStages();
+        this.setupEventListeners();
+        this.load();
+    }
+
+    loadStages() {
+        const source = document.getElementById('leadStages');
+        try {
+            this.stages = JSON.parse(source.textContent);
+        } catch (err) {
+            this.stages = ['new', 'contacted', 'quoted', 'won', 'lost'];
+        }
+
+        const progress = document.getElementById('leadProgress');
+        try {
+            this.progress = JSON.parse(progress.textContent);
+        } catch (err) {
+            this.progress = ['received', 'reviewed', 'visit_booked', 'quote_sent', 'scheduled', 'completed'];
+        }
+    }
+
+    setupEventListeners() {
+        this.root.querySelectorAll('.pipeline-stage').forEach(button => {
+            button.addEventListener('click', () => {
+                this.filters.status = button.getAttribute('data-status');
+                this.root.querySelectorAll('.pipeline-stage').forEach(b => b.classList.toggle('active', b === button));
+                this.load();
+            });
+        });
+
+        this.root.querySelector('.admin-search').addEventListener('input', (e) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.filters.search = e.target.value.trim();
+                this.load();
+            }, this.searchDelay);
+        });
+
+        this.root.querySelector('.admin-service-filter').addEventListener('change', (e) => {
+            this.filters.service = e.target.value;
+            this.load();
+        });
+
+        this.root.querySelector('.lead-rows').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row) this.select(Number(row.getAttribute('data-id')));
+        });
+
+        this.root.querySelector('.lead-rows').addEventListener('keydown', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.select(Number(row.getAttribute('data-id')));
+            }
+        });
+    }
+
+    get query() {
+        const params = new URLSearchParams();
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params.toString();
+    }
+
+    async request(url, options = {}) {
+        const res = await fetch(url, Object.assign({
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        }, options));
+
+        // Session expired: back to the sign-in page, then here again
+        if (res.status === 401) {
+            window.location.href = `/admin/login?next=${encodeURIComponent(window.location.pathname)}`;
+            throw new Error('Not signed in');
+        }
+
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok || !json.success) {
+            throw new Error(json.error || `HTTP ${res.status}`);
+        }
+        return json;
+    }
+
+    async load() {
+        const query = this.query;
+        this.root.querySelector('.admin-export').href = `${this.endpoint}.csv${query ? `?${query}` : ''}`;
+
+        try {
+            const json = await this.request(`${this.endpoint}${query ? `?${query}` : ''}`);
+            this.leads = json.leads;
+            this.renderCounts(json.counts);
+            this.renderRows();
+        } catch (err) {
+            this.showMessage(`Could not load leads: ${err.message}`);
+        }
+    }
+
+    renderCounts(counts) {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        this.root.querySelectorAll('.pipeline-count').forEach(element => {
+            const stage = element.getAttribute('data-count');
+            element.textContent = stage === 'all' ? total : (counts[stage] || 0);
+        });
+    }
+
+    renderRows() {
+        const tbody = this.root.querySelector('.lead-rows');
+        this.root.querySelector('.admin-empty').hidden = this.leads.length > 0;
+
+        tbody.innerHTML = this.leads.map(lead => `
+            <tr data-id="${lead.id}" tabindex="0" class="${lead.id === this.selectedId ? 'selected' : ''}">
+                <td>${this.formatDate(lead.created_at)}</td>
+                <td>
+                    <strong>${this.escape(lead.name)}</strong>
+                    ${lead.reference ? `<span class="lead-reference">${this.escape(lead.reference)}</span>` : ''}
+                    ${lead.delivery === 'failed' ? '<span class="lead-flag" title="Notifications gave up after all retries">notify failed</span>' : ''}
+                    ${lead.delivery === 'queued' ? '<span class="lead-flag" title="A notification failed and is being retried">notify queued</span>' : ''}
+                </td>
+                <td>${this.escape(lead.service)}</td>
+                <td>${this.formatArea(lead)}</td>
+                <td><span class="stage-badge stage-${lead.status}">${this.escape(lead.status)}</span></td>
+            </tr>
+        `).join('');
+    }
+
+    async select(id) {
+        this.selectedId = id;
+        this.root.querySelectorAll('.lead-rows tr').forEach(row => {
+            row.classList.toggle('selected', Number(row.getAttribute('data-id')) === id);
+        });
+
+        try {
+            const json = await this.request(`${this.endpoint}/${id}`);
+            this.renderDetail(json.lead);
+        } catch (err) {
+            this.showMessage(`Could not open lead: ${err.message}`);
+        }
+    }
+
+    renderDetail(lead) {
+        const panel = this.root.querySelector('.lead-detail');
+        const details = Object.entries(lead.details || {})
+            .map(([key, value]) => `<li><span>${this.escape(key.replace(/_/g, ' '))}</span> ${this.escape(value)}</li>`)
+            .join('');
+        const estimate = lead.estimate
+            ? `$${Number(lead.estimate.low).toLocaleString('en-CA')} – $${Number(lead.estimate.high).toLocaleString('en-CA')}`
+            : '';
+
+        panel.innerHTML = `
+            <div class="lead-detail-header">
+                <h2>${this.escape(lead.name)}</h2>
+                <button type="button" class="lead-close" aria-label="Close lead"><i class="fas fa-times"></i></button>
+            </div>
+            <label class="lead-stage">
+                Stage
+                <select class="lead-status">
+                    ${this.stages.map(stage => `<option value="${stage}"${stage === lead.status ? ' selected' : ''}>${stage}</option>`).join('')}
+                </select>
+            </label>
+            <label class="lead-stage" title="Shown to the customer on the status page">
+                Customer sees
+                <select class="lead-progress">
+                    ${this.progress.map(step => `<option value="${step}"${step === lead.progress ? ' selected' : ''}>${step.replace(/_/g, ' ')}</option>`).join('')}
+                </select>
+            </label>
+            <ul class="lead-facts">
+                ${lead.reference ? `<li><span>Reference</span> ${this.escape(lead.reference)}</li>` : ''}
+                <li><span>Received</span> ${this.formatDate(lead.created_at)}</li>
+                ${lead.phone ? `<li><span>Phone</span> <a href="tel:${this.escape(lead.phone)}">${this.escape(lead.phone)}</a></li>` : ''}
+                ${lead.email ? `<li><span>Email</span> <a href="mailto:${this.escape(lead.email)}">${this.escape(lead.email)}</a></li>` : ''}
+                <li><span>Service</span> ${this.escape(lead.service)}</li>
+                ${lead.address ? `<li><span>Address</span> ${this.escape(lead.address)}</li>` : ''}
+                ${lead.postal_code ? `<li><span>Area</span> ${this.escape(lead.postal_code)} · ${this.formatArea(lead)}</li>` : ''}
+                ${lead.visit_slot ? `<li><span>Site visit</span> ${this.formatDate(lead.visit_slot)}</li>` : ''}
+                ${estimate ? `<li><span>Estimate shown</span> ${estimate}</li>` : ''}
+                ${lead.photo_count ? `<li><span>Photos</span> ${lead.photo_count} (in the email)</li>` : ''}
+                ${lead.lang === 'fr' ? '<li><span>Language</span> French</li>' : ''}
+            </ul>
+            ${details ? `<ul class="lead-facts lead-details">${details}</ul>` : ''}
+            <blockquote class="lead-message">${this.escape(lead.message)}</blockquote>
+            <h3>Notes</h3>
+            <ol class="lead-notes">
+                ${lead.notes.map(note => this.renderNote(note)).join('')}
+            </ol>
+            <form class="lead-note-form">
+                <textarea name="body" rows="3" maxlength="2000" placeholder="Called, left a voicemail…" aria-label="New note" required></textarea>
+                <button type="submit" class="btn btn-primary btn-small">Add Note</button>
+            </form>
+        `;
+        panel.hidden = false;
+
+        panel.querySelector('.lead-close').addEventListener('click', () => {
+            panel.hidden = true;
+            this.selectedId = null;
+            this.renderRows();
+        });
+        panel.querySelector('.lead-status').addEventListener('change', (e) => this.updateStatus(lead.id, e.target.value));
+        panel.querySelector('.lead-progress').addEventListener('change', (e) => this.updateProgress(lead.id, e.target.value));
+        panel.querySelector('.lead-note-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addNote(lead.id, e.target.elements.body);
+        });
+    }
+
+    renderNote(note) {
+        return `<li><time>${this.formatDate(note.created_at)}</time> ${this.escape(note.body)}</li>`;
+    }
+
+    async updateStatus(id, status) {
+        try {
+            const json = await this.request(`${this.endpoint}/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status })
+            });
+
+            const lead = this.leads.find(item => item.id === id);
+            if (lead) lead.status = json.lead.status;
+
+            // A lead that left the filtered stage drops out of the list
+            if (this.filters.status && this.filters.status !== status) {
+                this.leads = this.leads.filter(item => item.id !== id);
+            }
+
+            this.renderCounts(json.counts);
+            this.renderRows();
+        } catch (err) {
+            this.showMessage(`Could not update the stage: ${err.message}`);
+        }
+    }
+
+    async updateProgress(id, progress) {
+        try {
+            const json = await this.request(`${this.endpoint}/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ progress })
+            });
+
+            const lead = this.leads.find(item => item.id === id);
+            if (lead) lead.progress = json.lead.progress;
+        } catch (err) {
+            this.showMessage(`Could not update the customer status: ${err.message}`);
+        }
+    }
+
+    async addNote(id, textarea) {
+        const body = textarea.value.trim();
+        if (!body) return;
+
+        try {
+            const json = await this.request(`${this.endpoint}/${id}/notes`, {
+                method: 'POST',
+                body: JSON.stringify({ body })
+            });
+
+            this.root.querySelector('.lead-notes').insertAdjacentHTML('beforeend', this.renderNote(json.note));
+            textarea.value = '';
+        } catch (err) {
+            this.showMessage(`Could not save the note: ${err.message}`);
+        }
+    }
+
+    formatArea(lead) {
+        if (!lead.postal_code) return '—';
+        const distance = lead.distance_km !== null ? ` (~${lead.distance_km} km)` : '';
+        const outside = lead.inside_area === false ? ' <span class="lead-flag">outside area</span>' : '';
+        return `${this.escape(lead.area || 'Unknown')}${distance}${outside}`;
+    }
+
+    formatDate(value) {
+        if (!value) return '';
+        return new Intl.DateTimeFormat('en-CA', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'America/Winnipeg'
+        }).format(new Date(value));
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showMessage(message) {
+        let element = this.root.querySelector('.admin-message');
+        if (!element) {
+            element = document.createElement('p');
+            element.className = 'admin-message';
+            element.setAttribute('role', 'alert');
+            this.root.insertBefore(element, this.root.firstChild);
+        }
+
+        element.textContent = message;
+        element.hidden = false;
+        setTimeout(() => { element.hidden = true; }, 5000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.adminController = new AdminController();
+});
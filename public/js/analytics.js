@@ -0,0 +1,95 @@
+/**
+ * First-party analytics for Excaliber Construction website
+ * Collects a few page events (section views, call and quote clicks, form
+ * progress) from main.js and forms.js and sends them in batches to
+ * /api/events. No cookies and no third-party scripts: a visit is a random id
+ * kept in sessionStorage for the tab. consent.js loads this file only after the
+ * visitor opts in. Server side: server/analytics.py.
+ */
+
+class Analytics {
+    constructor(endpoint = '/api/events') {
+        this.endpoint = endpoint;
+        this.queue = [];
+        this.batchSize = 10;
+        this.flushDelay = 5000;
+        this.flushTimer = null;
+        this.session = this.loadSession();
+
+        this.init();
+    }
+
+    init() {
+        // Last chance to send what is left when the visitor leaves or switches tabs
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush({ beacon: true });
+        });
+        window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+
+        this.track('page_view', {
+            path: location.pathname,
+            lang: document.documentElement.lang || 'en'
+        });
+    }
+
+    loadSession() {
+        const key = 'excaliber-analytics-session';
+        try {
+            let id = sessionStorage.getItem(key);
+            if (!id) {
+                id = Analytics.randomId();
+                sessionStorage.setItem(key, id);
+            }
+            return id;
+        } catch (err) {
+            // Storage blocked: the visit still counts, just per page load
+            return Analytics.randomId();
+        }
+    }
+
+    track(name, props = {}) {
+        // Consent can be withdrawn after this script has loaded
+        if (window.consent && !window.consent.has('analytics')) {
+            this.queue = [];
+            return;
+        }
+
+        this.queue.push({ name, props });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    flush({ beacon = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.queue.length) return;
+
+        const body = JSON.stringify({ session: this.session, events: this.queue.splice(0) });
+
+        // sendBeacon survives the page unloading; fetch keepalive is the fallback
+        if (beacon && navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {
+            // Analytics never gets in the visitor's way; a lost batch is fine
+        });
+    }
+
+    static randomId() {
+        if (window.crypto && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// main.js and forms.js record through window.analytics whenever it exists
+window.analytics = new Analytics();
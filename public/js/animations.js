@@ -18,6 +18,11 @@ class AnimationController {
         this.initParallaxEffects();
         this.initHoverAnimations();
         this.initStaggeredAnimations();
+
+        // Cards rendered after load (portfolio.js) get the same treatment
+        document.addEventListener('portfolio:render', (e) => {
+            this.observe(e.detail.items);
+        });
     }
 
     setupIntersectionObserver() {
@@ -37,6 +42,20 @@ class AnimationController {
         animatedElements.forEach(element => {
             observer.observe(element);
         });
+
+        this.observer = observer;
+    }
+
+    // Scroll animation and hover effects for elements added to the page later
+    observe(elements) {
+        elements.forEach(element => {
+            if (this.observer) this.observer.observe(element);
+
+            if (element.classList.contains('portfolio-item')) {
+                element.addEventListener('mouseenter', () => this.animatePortfolioHover(element, true));
+                element.addEventListener('mouseleave', () => this.animatePortfolioHover(element, false));
+            }
+        });
     }
 
     triggerAnimation(element) {
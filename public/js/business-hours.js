@@ -0,0 +1,101 @@
+/**
+ * Business hours for Excaliber Construction website
+ * Works out whether we are open right now from server/hours.json (embedded in
+ * the page): weekly hours plus holidays, always in Winnipeg time whatever the
+ * visitor's device uses. Dates are "YYYY-MM-DD" and times minutes after
+ * midnight on the Winnipeg wall clock. server/business_hours.py is the same
+ * logic on the server.
+ */
+
+class BusinessHours {
+    constructor(config = {}) {
+        this.timeZone = config.timeZone || 'America/Winnipeg';
+        this.weekly = config.weekly || {};
+        this.holidays = {};
+        (config.holidays || []).forEach(holiday => {
+            this.holidays[holiday.date] = holiday;
+        });
+    }
+
+    static fromPage(id = 'businessHoursConfig') {
+        const source = document.getElementById(id);
+        if (!source) return null;
+
+        try {
+            return new BusinessHours(JSON.parse(source.textContent));
+        } catch (err) {
+            console.warn('Invalid business hours config:', err);
+            return null;
+        }
+    }
+
+    // "17:30" -> 1050
+    static toMinutes(value) {
+        const [hours, minutes] = String(value).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static addDays(date, days) {
+        const day = new Date(`${date}T12:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().slice(0, 10);
+    }
+
+    // The Winnipeg calendar date and clock time at an instant
+    localTime(now = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+        };
+    }
+
+    holiday(date) {
+        return this.holidays[date] || null;
+    }
+
+    // { open, close } in minutes for a date, or null when closed all day
+    hoursOn(date) {
+        const weekday = BusinessHours.WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+        const hours = this.holiday(date) || this.weekly[weekday];
+        if (!hours || !hours.open || !hours.close) return null;
+
+        return { open: BusinessHours.toMinutes(hours.open), close: BusinessHours.toMinutes(hours.close) };
+    }
+
+    /**
+     * Open right now, and when that changes.
+     * @returns {{open: boolean, closes?: {date, minutes}, opens?: {date, minutes, inDays}|null, holiday: object|null}}
+     */
+    status(now = new Date()) {
+        const today = this.localTime(now);
+        const holiday = this.holiday(today.date);
+
+        for (let offset = 0; offset <= BusinessHours.LOOKAHEAD_DAYS; offset++) {
+            const date = BusinessHours.addDays(today.date, offset);
+            const hours = this.hoursOn(date);
+            if (!hours) continue;
+
+            if (offset === 0 && today.minutes >= hours.open && today.minutes < hours.close) {
+                return { open: true, closes: { date, minutes: hours.close }, holiday };
+            }
+            if (offset > 0 || today.minutes < hours.open) {
+                return { open: false, opens: { date, minutes: hours.open, inDays: offset }, holiday };
+            }
+        }
+
+        return { open: false, opens: null, holiday };
+    }
+}
+
+// Indexed like Date.getUTCDay()
+BusinessHours.WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// A closure longer than this (e.g. a winter break) reports no next opening
+BusinessHours.LOOKAHEAD_DAYS = 31;
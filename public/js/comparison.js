@@ -0,0 +1,136 @@
+/**
+ * Before/after comparison slider for Excaliber Construction website
+ * Two photos of the same spot stacked on top of each other, with a divider
+ * that can be dragged (mouse, pen or touch), moved with the arrow keys, or
+ * set by clicking anywhere on the photo. Used in portfolio cards
+ * (portfolio.js) and in the gallery modal (gallery.js), both built from a
+ * project's "comparison" pair in server/projects.json:
+ *   { before, after, orientation: "horizontal" | "vertical" }
+ */
+
+class ComparisonSlider {
+    constructor(element) {
+        this.element = element;
+        this.vertical = element.classList.contains('vertical');
+        this.handle = element.querySelector('.comparison-handle');
+        this.position = 50;
+        this.dragging = false;
+
+        this.init();
+    }
+
+    init() {
+        this.element.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.dragging = true;
+            this.element.setPointerCapture(e.pointerId);
+            this.element.classList.add('dragging');
+            this.moveTo(e);
+            this.handle.focus({ preventScroll: true });
+        });
+
+        this.element.addEventListener('pointermove', (e) => {
+            if (this.dragging) this.moveTo(e);
+        });
+
+        ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+            this.element.addEventListener(type, () => {
+                this.dragging = false;
+                this.element.classList.remove('dragging');
+            });
+        });
+
+        // Browsers start dragging the image itself otherwise
+        this.element.addEventListener('dragstart', (e) => e.preventDefault());
+
+        this.handle.addEventListener('keydown', (e) => this.handleKey(e));
+
+        this.set(this.position);
+    }
+
+    // Arrows move the divider the way they point; Home/End show all of one photo
+    handleKey(e) {
+        const step = e.shiftKey ? ComparisonSlider.LARGE_STEP : ComparisonSlider.STEP;
+        const forward = this.vertical ? ['ArrowDown', 'ArrowRight'] : ['ArrowRight', 'ArrowUp'];
+        const back = this.vertical ? ['ArrowUp', 'ArrowLeft'] : ['ArrowLeft', 'ArrowDown'];
+
+        let position = null;
+        if (forward.includes(e.key)) position = this.position + step;
+        else if (back.includes(e.key)) position = this.position - step;
+        else if (e.key === 'PageUp') position = this.position + ComparisonSlider.LARGE_STEP;
+        else if (e.key === 'PageDown') position = this.position - ComparisonSlider.LARGE_STEP;
+        else if (e.key === 'Home') position = 0;
+        else if (e.key === 'End') position = 100;
+        if (position === null) return;
+
+        // Marks the key as used, so the gallery does not also change photo
+        e.preventDefault();
+        this.set(position);
+    }
+
+    moveTo(e) {
+        const rect = this.element.getBoundingClientRect();
+        const size = this.vertical ? rect.height : rect.width;
+        if (!size) return;
+
+        const offset = this.vertical ? e.clientY - rect.top : e.clientX - rect.left;
+        this.set((offset / size) * 100);
+    }
+
+    // Percentage of the photo showing "before", from the left (or top)
+    set(position) {
+        this.position = Math.round(Math.min(100, Math.max(0, position)) * 10) / 10;
+        this.element.style.setProperty('--position', `${this.position}%`);
+        this.handle.setAttribute('aria-valuenow', String(Math.round(this.position)));
+        this.handle.setAttribute('aria-valuetext', ComparisonSlider.t('comparison.value', { percent: Math.round(this.position) }));
+    }
+
+    static t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    /**
+     * Markup and behaviour for a pair from /api/projects.
+     * @param {{before: string, after: string, orientation?: string}} pair
+     * @param {{alt?: string, lazy?: boolean}} options
+     * @returns {HTMLElement}
+     */
+    static create(pair, { alt = '', lazy = false } = {}) {
+        const vertical = pair.orientation === 'vertical';
+        const element = document.createElement('div');
+        element.className = vertical ? 'comparison vertical' : 'comparison';
+
+        element.innerHTML = `
+            <img class="comparison-after" alt="">
+            <img class="comparison-before" alt="">
+            <span class="comparison-label comparison-label-before" data-i18n="comparison.before"></span>
+            <span class="comparison-label comparison-label-after" data-i18n="comparison.after"></span>
+            <div class="comparison-handle" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100"
+                data-i18n-aria-label="comparison.label"></div>
+        `;
+
+        const before = element.querySelector('.comparison-before');
+        const after = element.querySelector('.comparison-after');
+        before.src = pair.before;
+        after.src = pair.after;
+        after.alt = alt;
+        if (lazy) {
+            before.loading = 'lazy';
+            after.loading = 'lazy';
+        }
+
+        const handle = element.querySelector('.comparison-handle');
+        handle.setAttribute('aria-orientation', vertical ? 'vertical' : 'horizontal');
+        handle.setAttribute('aria-label', ComparisonSlider.t('comparison.label'));
+        element.querySelectorAll('[data-i18n]').forEach(label => {
+            label.textContent = ComparisonSlider.t(label.getAttribute('data-i18n'));
+        });
+
+        new ComparisonSlider(element);
+        return element;
+    }
+}
+
+// Percentage points per arrow key press, and with Shift or Page Up/Down
+ComparisonSlider.STEP = 5;
+ComparisonSlider.LARGE_STEP = 20;
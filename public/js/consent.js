@@ -0,0 +1,186 @@
+/**
+ * Privacy consent for Excaliber Construction website
+ * Shows the consent banner and preferences dialog (public/partials/consent.html),
+ * remembers the visitor's choices and loads optional resources only after opt-in.
+ *
+ * Optional resources are declared inert in the page and tagged with a category:
+ *   <link rel="stylesheet" data-consent="external" data-href="https://..." data-loaded-class="icons-loaded">
+ *   <script type="text/plain" data-consent="analytics" data-src="/public/js/analytics.js"></script>
+ * Each allowed category also puts consent-<category> on <html>, for CSS that
+ * only references third-party images behind it (.consent-external .hero).
+ *
+ * Other scripts use the API on window.consent: has(category), get(), set(choices),
+ * acceptAll(), rejectAll(), openPreferences(), and the "consent:change" event.
+ */
+
+class ConsentManager {
+    constructor() {
+        this.storageKey = 'excaliber-consent';
+        this.choices = this.load();
+
+        this.init();
+    }
+
+    init() {
+        this.banner = document.getElementById('consentBanner');
+        this.dialog = document.getElementById('consentDialog');
+
+        this.apply();
+
+        if (this.banner) {
+            this.banner.hidden = this.choices !== null;
+            this.banner.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-consent-action]');
+                if (action) this.handleAction(action.getAttribute('data-consent-action'));
+            });
+        }
+
+        if (this.dialog) {
+            this.form = this.dialog.querySelector('form');
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const choices = {};
+                ConsentManager.OPTIONAL.forEach(category => {
+                    choices[category] = this.form.elements[category].checked;
+                });
+                this.set(choices);
+                this.closePreferences();
+            });
+            this.dialog.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-consent-action]');
+                if (action) this.handleAction(action.getAttribute('data-consent-action'));
+            });
+        }
+
+        // "Privacy settings" links anywhere on the page
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+    }
+
+    handleAction(action) {
+        if (action === 'accept') {
+            this.acceptAll();
+            this.closePreferences();
+        } else if (action === 'reject') {
+            this.rejectAll();
+            this.closePreferences();
+        } else if (action === 'preferences') {
+            this.openPreferences();
+        } else if (action === 'close') {
+            this.closePreferences();
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            // A new policy version asks again
+            if (stored && stored.version === ConsentManager.VERSION) return stored;
+        } catch (err) {
+            // Unreadable or blocked storage: ask again
+        }
+        return null;
+    }
+
+    has(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.choices && this.choices[category]);
+    }
+
+    get() {
+        const choices = {};
+        ConsentManager.OPTIONAL.forEach(category => { choices[category] = this.has(category); });
+        return choices;
+    }
+
+    set(choices) {
+        this.choices = { version: ConsentManager.VERSION, savedAt: new Date().toISOString() };
+        ConsentManager.OPTIONAL.forEach(category => { this.choices[category] = Boolean(choices[category]); });
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.choices));
+        } catch (err) {
+            // Private mode: the choice holds for this page only
+        }
+
+        if (this.banner) this.banner.hidden = true;
+        this.apply();
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: this.get() }));
+    }
+
+    acceptAll() {
+        this.set({ external: true, analytics: true });
+    }
+
+    rejectAll() {
+        this.set({ external: false, analytics: false });
+    }
+
+    // Activates what is allowed; stylesheets are also removed again when consent is withdrawn.
+    // data-loaded-class goes on <html> once a stylesheet has loaded (CSS fallbacks key off it).
+    apply() {
+        const root = document.documentElement;
+
+        ConsentManager.OPTIONAL.forEach(category => {
+            root.classList.toggle(`consent-${category}`, this.has(category));
+        });
+
+        document.querySelectorAll('link[data-consent]').forEach(link => {
+            const loadedClass = link.getAttribute('data-loaded-class');
+
+            if (this.has(link.getAttribute('data-consent'))) {
+                if (link.getAttribute('href')) return;
+                if (loadedClass) {
+                    link.addEventListener('load', () => root.classList.add(loadedClass), { once: true });
+                }
+                link.setAttribute('href', link.getAttribute('data-href'));
+            } else if (link.getAttribute('href')) {
+                link.removeAttribute('href');
+                if (loadedClass) root.classList.remove(loadedClass);
+            }
+        });
+
+        // A script cannot be unloaded; once loaded it checks has() itself
+        document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+            if (!this.has(placeholder.getAttribute('data-consent'))) return;
+
+            const script = document.createElement('script');
+            script.src = placeholder.getAttribute('data-src');
+            placeholder.replaceWith(script);
+        });
+    }
+
+    openPreferences() {
+        if (!this.dialog) return;
+
+        ConsentManager.OPTIONAL.forEach(category => {
+            this.form.elements[category].checked = this.has(category);
+        });
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+    }
+
+    closePreferences() {
+        if (!this.dialog || !this.dialog.hasAttribute('open')) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+        }
+    }
+}
+
+// Bump when the privacy policy changes what is collected
+ConsentManager.VERSION = 2;
+ConsentManager.OPTIONAL = ['external', 'analytics'];
+
+window.consent = new ConsentManager();
@@ -0,0 +1,117 @@
+/**
+ * Ballpark estimates for Excaliber Construction website
+ * Turns the quote wizard's answers into a price range using server/pricing.json,
+ * which the server embeds in the page. Each priced service is described as:
+ *
+ *   unit         what is counted ("square", "sheet", "visit"...)
+ *   quantity     { field, per } - ceil(field value / per), e.g. sq ft per roofing square
+ *   rate         { low, high } per unit, or { field, values: { option: { low, high } } }
+ *   multipliers  { field: { option: factor } }, e.g. roof pitch
+ *   minimum      smallest job we take, applied to both ends of the range
+ *   seasonal     { season: factor }, seasons are months in the config's time zone
+ */
+
+class EstimateEngine {
+    constructor(config = {}) {
+        this.config = config;
+        this.services = config.services || {};
+        this.currency = config.currency || 'CAD';
+        this.roundTo = config.roundTo || 1;
+    }
+
+    static fromPage(id = 'pricingConfig') {
+        const source = document.getElementById(id);
+        if (!source) return null;
+
+        try {
+            return new EstimateEngine(JSON.parse(source.textContent));
+        } catch (err) {
+            console.warn('Invalid pricing config:', err);
+            return null;
+        }
+    }
+
+    hasService(service) {
+        return Boolean(this.services[service]);
+    }
+
+    getSeason(date = new Date()) {
+        const month = Number(new Intl.DateTimeFormat('en-CA', {
+            month: 'numeric',
+            timeZone: this.config.timeZone || undefined
+        }).format(date));
+
+        const seasons = this.config.seasons || {};
+        return Object.keys(seasons).find(name => seasons[name].includes(month)) || null;
+    }
+
+    getQuantity(pricing, inputs) {
+        const quantity = pricing.quantity;
+        if (!quantity) return 1;
+
+        const value = parseFloat(inputs[quantity.field]);
+        if (!Number.isFinite(value) || value <= 0) return null;
+
+        return Math.ceil(value / (quantity.per || 1));
+    }
+
+    getRate(pricing, inputs) {
+        const rate = pricing.rate || {};
+        if (!rate.field) return rate;
+
+        return (rate.values || {})[inputs[rate.field]] || null;
+    }
+
+    /**
+     * Price range for a service, or null until every input it needs is filled in.
+     * @param {string} service - Service value from the form, e.g. 'shingles'
+     * @param {Object} inputs - Wizard answers by field name
+     * @param {Date} [date] - Decides the seasonal multiplier
+     */
+    estimate(service, inputs, date = new Date()) {
+        const pricing = this.services[service];
+        if (!pricing) return null;
+
+        const quantity = this.getQuantity(pricing, inputs);
+        const rate = this.getRate(pricing, inputs);
+        if (quantity === null || !rate) return null;
+
+        let multiplier = 1;
+        for (const [field, factors] of Object.entries(pricing.multipliers || {})) {
+            const factor = factors[inputs[field]];
+            if (factor === undefined) return null;
+            multiplier *= factor;
+        }
+
+        const season = this.getSeason(date);
+        const seasonal = (pricing.seasonal || {})[season] || 1;
+        multiplier *= seasonal;
+
+        const minimum = pricing.minimum || 0;
+        const low = quantity * rate.low * multiplier;
+        const high = quantity * rate.high * multiplier;
+
+        // Only the fields that fed the formula, so the email shows exactly what was priced
+        const fields = [
+            pricing.quantity && pricing.quantity.field,
+            pricing.rate && pricing.rate.field,
+            ...Object.keys(pricing.multipliers || {})
+        ].filter(Boolean);
+
+        return {
+            service,
+            low: Math.floor(Math.max(low, minimum) / this.roundTo) * this.roundTo,
+            high: Math.ceil(Math.max(high, minimum) / this.roundTo) * this.roundTo,
+            currency: this.currency,
+            quantity,
+            unit: pricing.unit,
+            season: seasonal !== 1 ? season : null,
+            seasonalMultiplier: seasonal,
+            minimumApplied: low < minimum,
+            inputs: fields.reduce((values, field) => {
+                values[field] = inputs[field];
+                return values;
+            }, {})
+        };
+    }
+}
@@ -7,7 +7,17 @@ class FormController {
     constructor() {
         this.forms = new Map();
         this.validators = new Map();
+        this.formRules = new Map();
         this.currentSubmission = null;
+        this.submissionQueue = null;
+        this.queueRetryDelay = 5000;
+        this.queueRetryTimer = null;
+        this.draftDelay = 800;
+        this.draftTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.estimateEngine = null;
+        this.serviceArea = null;
+        this.businessHours = null;
+        this.hoursTimer = null;
         
         this.init();
     }
@@ -16,41 +26,111 @@ class FormController {
         this.setupValidators();
         this.initializeForms();
         this.setupEventListeners();
+        this.initWizards();
+        this.initPhotoUploads();
         this.initInputEnhancements();
+        this.initSubmissionQueue();
+        this.initDrafts();
+        this.initEstimates();
+        this.initScheduling();
+        this.initServiceArea();
+        this.initSuccessState();
+        this.initBusinessHours();
+        this.initCallbackWidget();
+
+        document.addEventListener('i18n:change', () => this.handleLanguageChange());
     }
 
+    /*
+     * Validators are looked up by the keys of a field's data-validate rules, e.g.
+     * data-validate='{"required": true, "minLength": 2, "messages": {"minLength": "..."}}'.
+     * test(value, param, context) may return a boolean or a Promise of one.
+     * Messages are i18n catalog keys (plain text also works); {param} is filled in.
+     * The same names are implemented server-side in server/validation.py.
+     */
     setupValidators() {
+        // Required field validation
+        this.registerValidator('required', {
+            test: (value) => value.trim().length > 0,
+            message: 'validation.required'
+        });
+
         // Email validation
-        this.validators.set('email', {
+        this.registerValidator('email', {
             test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-            message: 'Please enter a valid email address'
+            message: 'validation.email'
         });
 
         // Phone validation
-        this.validators.set('phone', {
-            test: (value) => /^[\+]?[\d\s\-\(\)]{10,}$/.test(value),
-            message: 'Please enter a valid phone number'
+        this.registerValidator('phone', {
+            test: (value) => /^[+]?[0-9 \-()]{10,}$/.test(value),
+            message: 'validation.phone'
         });
 
-        // Required field validation
-        this.validators.set('required', {
-            test: (value) => value.trim().length > 0,
-            message: 'This field is required'
+        // Whole-number validation (roof area, driveway count, tree count...)
+        this.registerValidator('integer', {
+            test: (value) => /^[0-9]+$/.test(value.trim()),
+            message: 'validation.integer'
+        });
+
+        // Length and range validation
+        this.registerValidator('minLength', {
+            test: (value, min) => value.trim().length >= min,
+            message: 'validation.minLength'
+        });
+
+        this.registerValidator('maxLength', {
+            test: (value, max) => value.length <= max,
+            message: 'validation.maxLength'
+        });
+
+        this.registerValidator('min', {
+            test: (value, min) => value.trim() !== '' && Number(value) >= min,
+            message: 'validation.min'
+        });
+
+        this.registerValidator('max', {
+            test: (value, max) => value.trim() !== '' && Number(value) <= max,
+            message: 'validation.max'
+        });
+
+        // Pattern validation (patterns are shared with Python, so no JS-only flags)
+        this.registerValidator('pattern', {
+            test: (value, pattern) => new RegExp(pattern).test(value),
+            message: 'validation.pattern'
         });
 
-        // Name validation
-        this.validators.set('name', {
-            test: (value) => /^[a-zA-Z\s]{2,}$/.test(value),
-            message: 'Please enter a valid name (letters only, minimum 2 characters)'
+        this.registerValidator('oneOf', {
+            test: (value, options) => Array.isArray(options) && options.includes(value),
+            message: 'validation.oneOf'
         });
 
-        // Message validation
-        this.validators.set('message', {
-            test: (value) => value.trim().length >= 10,
-            message: 'Please provide at least 10 characters for your message'
+        // Cross-field rules, declared in the form's data-validate-form attribute
+        this.registerFormRule('requireAny', {
+            test: (values, rule) => rule.fields.some(field => (values[field] || '').trim().length > 0),
+            message: 'validation.requireAny'
         });
     }
 
+    /**
+     * Register (or replace) a field validator usable from data-validate.
+     * @param {string} name - Rule key, e.g. 'postalCode'
+     * @param {{test: Function, message: string}} validator - message is a catalog key or text
+     */
+    registerValidator(name, validator) {
+        this.validators.set(name, validator);
+    }
+
+    /**
+     * Register a cross-field rule usable from data-validate-form.
+     * test(values, rule, context) receives every active field value by name.
+     * @param {string} name - Rule name, e.g. 'requireAny'
+     * @param {{test: Function, message: string}} formRule - message is a catalog key or text
+     */
+    registerFormRule(name, formRule) {
+        this.formRules.set(name, formRule);
+    }
+
     initializeForms() {
         const contactForm = document.getElementById('contactForm');
         
@@ -58,20 +138,65 @@ class FormController {
             this.forms.set('contact', {
                 element: contactForm,
                 fields: this.getFormFields(contactForm),
+                formRules: this.parseRules(contactForm, 'data-validate-form') || [],
                 submitButton: contactForm.querySelector('button[type="submit"]'),
                 successElement: contactForm.querySelector('.form-success'),
+                successTimer: null,
+                queuedElement: contactForm.querySelector('.form-queued'),
+                draftKey: 'excaliber-draft-contact',
+                draftPrompt: contactForm.querySelector('.draft-prompt'),
+                draftTimer: null,
+                steps: Array.from(contactForm.querySelectorAll('.form-step')),
+                currentStep: null,
+                progressElement: contactForm.querySelector('.form-progress'),
+                backButton: contactForm.querySelector('.form-back'),
+                nextButton: contactForm.querySelector('.form-next'),
+                tokenInput: contactForm.querySelector('input[name="form_token"]'),
+                honeypot: contactForm.querySelector('.form-trap input'),
+                photoUpload: contactForm.querySelector('.photo-upload'),
+                attachments: [],
+                areaNotice: contactForm.querySelector('.area-notice'),
+                visitPicker: contactForm.querySelector('.visit-picker'),
+                scheduler: null,
+                estimateElement: contactForm.querySelector('.estimate-panel'),
+                estimate: null,
                 endpoint: '/api/contact', // This would be the actual endpoint
                 onSuccess: (response) => this.handleContactSuccess(response),
                 onError: (error) => this.handleContactError(error)
             });
         }
+
+        // Floating "call me back" widget: three fields, no wizard, drafts or photos
+        const callbackForm = document.getElementById('callbackForm');
+
+        if (callbackForm) {
+            this.forms.set('callback', {
+                element: callbackForm,
+                fields: this.getFormFields(callbackForm),
+                formRules: [],
+                submitButton: callbackForm.querySelector('button[type="submit"]'),
+                successElement: callbackForm.querySelector('.form-success'),
+                successTimer: null,
+                steps: [],
+                currentStep: null,
+                tokenInput: callbackForm.querySelector('input[name="form_token"]'),
+                honeypot: callbackForm.querySelector('.form-trap input'),
+                queuedElement: callbackForm.querySelector('.form-queued'),
+                endpoint: '/api/callback',
+                onSuccess: (response) => this.handleCallbackSuccess(response),
+                onError: (error) => this.handleCallbackError(error)
+            });
+        }
     }
 
     getFormFields(form) {
         const fields = new Map();
-        const inputs = form.querySelectorAll('input, select, textarea');
+        // File inputs are handled by the photo uploader, bot checks travel separately
+        const inputs = form.querySelectorAll('input:not([type="file"]):not([type="hidden"]), select, textarea');
         
         inputs.forEach(input => {
+            if (input.closest('.form-trap')) return;
+
             const rules = this.getValidationRules(input);
             fields.set(input.name, {
                 element: input,
@@ -85,34 +210,119 @@ class FormController {
         return fields;
     }
 
-    getValidationRules(input) {
-        const rules = [];
-        
-        // Check for required attribute
-        if (input.hasAttribute('required')) {
-            rules.push('required');
+    parseRules(element, attribute) {
+        const source = element.getAttribute(attribute);
+        if (!source) return null;
+
+        try {
+            return JSON.parse(source);
+        } catch (err) {
+            console.warn(`Invalid ${attribute} on`, element, err);
+            return null;
         }
-        
-        // Check input type
-        switch (input.type) {
-            case 'email':
-                rules.push('email');
-                break;
-            case 'tel':
-                rules.push('phone');
-                break;
+    }
+
+    getValidationRules(input) {
+        const declared = this.parseRules(input, 'data-validate');
+        if (declared) return declared;
+
+        // No declared rules: fall back to the native constraint attributes
+        const rules = {};
+
+        if (input.hasAttribute('required')) rules.required = true;
+        if (input.type === 'email') rules.email = true;
+        if (input.type === 'tel') rules.phone = true;
+        if (input.hasAttribute('minlength')) rules.minLength = Number(input.getAttribute('minlength'));
+        if (input.hasAttribute('maxlength')) rules.maxLength = Number(input.getAttribute('maxlength'));
+        if (input.hasAttribute('pattern')) rules.pattern = `^(?:${input.getAttribute('pattern')})$`;
+
+        return rules;
+    }
+
+    t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    track(name, props) {
+        if (window.analytics) window.analytics.track(name, props);
+    }
+
+    getRuleMessage(rules, name, param) {
+        const custom = (rules.messages && rules.messages[name]) || rules.message;
+        const validator = this.validators.get(name);
+
+        return this.t(custom || (validator ? validator.message : ''), { param });
+    }
+
+    // Resolves to the first failing message, or null when every rule passes
+    async runFieldRules(rules, value, context) {
+        if (!value.trim()) {
+            return rules.required ? this.getRuleMessage(rules, 'required', true) : null;
         }
-        
-        // Check by name/id
-        if (input.name.includes('name') || input.id.includes('Name')) {
-            rules.push('name');
+
+        for (const [name, param] of Object.entries(rules)) {
+            if (name === 'required' || name === 'message' || name === 'messages') continue;
+            if (param === false || param === null) continue;
+
+            const validator = this.validators.get(name);
+            if (!validator) {
+                console.warn(`Unknown validator "${name}"`);
+                continue;
+            }
+
+            if (!(await validator.test(value, param, context))) {
+                return this.getRuleMessage(rules, name, param);
+            }
         }
-        
-        if (input.name === 'message' || input.id === 'message') {
-            rules.push('message');
+
+        return null;
+    }
+
+    getFormValues(formName) {
+        const formData = this.forms.get(formName);
+        const values = {};
+
+        formData.fields.forEach((fieldData, fieldName) => {
+            if (this.isFieldActive(fieldData)) {
+                values[fieldName] = fieldData.element.value;
+            }
+        });
+
+        return values;
+    }
+
+    // Cross-field rules; with a step, only rules touching a field in that step run
+    async validateFormRules(formName, step = null) {
+        const formData = this.forms.get(formName);
+        const values = this.getFormValues(formName);
+        let isValid = true;
+
+        for (const rule of formData.formRules) {
+            const fieldNames = (rule.fields || []).filter(name => formData.fields.has(name));
+            if (step && !fieldNames.some(name => step.contains(formData.fields.get(name).element))) continue;
+
+            const formRule = this.formRules.get(rule.rule);
+            if (!formRule) {
+                console.warn(`Unknown form rule "${rule.rule}"`);
+                continue;
+            }
+
+            if (await formRule.test(values, rule, { formName })) continue;
+
+            isValid = false;
+            const message = this.t(rule.message || formRule.message);
+
+            // Report once, on the first field the rule names
+            if (fieldNames.length > 0) {
+                const fieldData = formData.fields.get(fieldNames[0]);
+                fieldData.isValid = false;
+                this.showFieldError(formName, fieldNames[0], message);
+            } else {
+                this.showFormError(formName, message);
+            }
         }
-        
-        return rules;
+
+        return isValid;
     }
 
     setupEventListeners() {
@@ -133,11 +343,22 @@ class FormController {
                 input.addEventListener('blur', () => {
                     this.validateField(formName, fieldName);
                     fieldData.touched = true;
+                    this.track('field_blur', {
+                        form: formName,
+                        field: fieldName,
+                        step: formData.steps.indexOf(formData.currentStep) + 1,
+                        filled: input.value.trim() !== ''
+                    });
                 });
                 
                 // Clear errors on focus
                 input.addEventListener('focus', () => {
                     this.clearFieldError(formName, fieldName);
+                    this.track('field_focus', {
+                        form: formName,
+                        field: fieldName,
+                        step: formData.steps.indexOf(formData.currentStep) + 1
+                    });
                 });
                 
                 // Live validation for touched fields
@@ -152,6 +373,378 @@ class FormController {
         });
     }
 
+    initWizards() {
+        this.forms.forEach((formData, formName) => {
+            const { element, steps, backButton, nextButton } = formData;
+            if (steps.length === 0) return;
+
+            const serviceSelect = element.querySelector('select[name="service"]');
+            if (serviceSelect) {
+                serviceSelect.addEventListener('change', () => {
+                    this.updateServiceFields(formName);
+                });
+            }
+
+            if (backButton) {
+                backButton.addEventListener('click', () => this.previousStep(formName));
+            }
+
+            if (nextButton) {
+                nextButton.addEventListener('click', () => this.nextStep(formName));
+            }
+
+            // Enter advances the wizard instead of submitting early
+            element.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'BUTTON') return;
+                if (!this.isLastStep(formName)) {
+                    e.preventDefault();
+                    this.nextStep(formName);
+                }
+            });
+
+            this.updateServiceFields(formName);
+            this.showStep(formName, steps[0]);
+        });
+    }
+
+    updateServiceFields(formName) {
+        const formData = this.forms.get(formName);
+        const serviceSelect = formData.element.querySelector('select[name="service"]');
+        const service = serviceSelect ? serviceSelect.value : '';
+
+        formData.element.querySelectorAll('.service-fields').forEach(group => {
+            const services = (group.getAttribute('data-services') || '').split(/\s+/);
+            const matches = services.includes(service);
+
+            group.disabled = !matches;
+            group.hidden = !matches;
+        });
+
+        // Errors on fields that no longer apply would block the step
+        formData.fields.forEach((fieldData, fieldName) => {
+            if (!this.isFieldActive(fieldData)) {
+                this.clearFieldError(formName, fieldName);
+            }
+        });
+
+        this.renderProgress(formName);
+        this.updateEstimate(formName);
+    }
+
+    isFieldActive(fieldData) {
+        return !fieldData.element.matches(':disabled');
+    }
+
+    getActiveSteps(formName) {
+        const formData = this.forms.get(formName);
+
+        // A step made only of service-specific groups is skipped when none apply
+        return formData.steps.filter(step => {
+            const groups = step.querySelectorAll('.service-fields');
+            return groups.length === 0 || Array.from(groups).some(group => !group.disabled);
+        });
+    }
+
+    isLastStep(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData || formData.steps.length === 0) return true;
+
+        const activeSteps = this.getActiveSteps(formName);
+        return activeSteps.indexOf(formData.currentStep) === activeSteps.length - 1;
+    }
+
+    showStep(formName, step) {
+        const formData = this.forms.get(formName);
+        const activeSteps = this.getActiveSteps(formName);
+        const index = activeSteps.indexOf(step);
+        if (index === -1) return;
+
+        formData.currentStep = step;
+
+        formData.steps.forEach(s => {
+            s.hidden = s !== step;
+            s.classList.toggle('active', s === step);
+        });
+
+        const isFirst = index === 0;
+        const isLast = index === activeSteps.length - 1;
+
+        if (formData.backButton) formData.backButton.hidden = isFirst;
+        if (formData.nextButton) formData.nextButton.hidden = isLast;
+        if (formData.submitButton) formData.submitButton.hidden = !isLast;
+
+        this.renderProgress(formName);
+    }
+
+    renderProgress(formName) {
+        const formData = this.forms.get(formName);
+        const progress = formData.progressElement;
+        if (!progress) return;
+
+        const activeSteps = this.getActiveSteps(formName);
+        const currentIndex = activeSteps.indexOf(formData.currentStep);
+
+        progress.innerHTML = '';
+        activeSteps.forEach((step, index) => {
+            const item = document.createElement('li');
+            const title = step.getAttribute('data-step-title');
+            item.textContent = title ? this.t(title) : this.t('form.steps.fallback', { number: index + 1 });
+            item.classList.toggle('active', index === currentIndex);
+            item.classList.toggle('complete', index < currentIndex);
+            if (index === currentIndex) {
+                item.setAttribute('aria-current', 'step');
+            }
+            progress.appendChild(item);
+        });
+    }
+
+    async validateStep(formName, step) {
+        const formData = this.forms.get(formName);
+        const checks = [];
+
+        formData.fields.forEach((fieldData, fieldName) => {
+            if (!step.contains(fieldData.element) || !this.isFieldActive(fieldData)) return;
+            checks.push(this.validateField(formName, fieldName));
+        });
+
+        const results = await Promise.all(checks);
+        const fieldsValid = results.every(Boolean);
+
+        // Cross-field rules only once the individual fields pass
+        return fieldsValid && await this.validateFormRules(formName, step);
+    }
+
+    async nextStep(formName) {
+        const formData = this.forms.get(formName);
+        const activeSteps = this.getActiveSteps(formName);
+        const index = activeSteps.indexOf(formData.currentStep);
+
+        if (index === -1 || index === activeSteps.length - 1) return;
+        if (!(await this.validateStep(formName, formData.currentStep))) return;
+
+        this.showStep(formName, activeSteps[index + 1]);
+        this.focusFirstField(activeSteps[index + 1]);
+    }
+
+    previousStep(formName) {
+        const formData = this.forms.get(formName);
+        const activeSteps = this.getActiveSteps(formName);
+        const index = activeSteps.indexOf(formData.currentStep);
+
+        if (index <= 0) return;
+
+        this.showStep(formName, activeSteps[index - 1]);
+        this.focusFirstField(activeSteps[index - 1]);
+    }
+
+    focusFirstField(step) {
+        const field = step.querySelector('input:not(:disabled), select:not(:disabled), textarea:not(:disabled)');
+        if (field) {
+            field.focus();
+        }
+    }
+
+    initPhotoUploads() {
+        this.forms.forEach((formData, formName) => {
+            const upload = formData.photoUpload;
+            if (!upload) return;
+
+            const dropzone = upload.querySelector('.photo-dropzone');
+            const fileInput = upload.querySelector('.photo-input');
+            const cameraInput = upload.querySelector('.photo-camera-input');
+            const cameraButton = upload.querySelector('.photo-camera');
+
+            formData.photoLimits = {
+                maxFiles: parseInt(upload.getAttribute('data-max-files'), 10) || 6,
+                maxDimension: parseInt(upload.getAttribute('data-max-dimension'), 10) || 1600,
+                // Same limit as MAX_PHOTO_BYTES in server/app.py
+                maxBytes: parseInt(upload.getAttribute('data-max-bytes'), 10) || 4 * 1024 * 1024
+            };
+
+            [fileInput, cameraInput].forEach(input => {
+                if (!input) return;
+                input.addEventListener('change', () => {
+                    this.addPhotos(formName, input.files);
+                    input.value = '';
+                });
+            });
+
+            if (cameraButton && cameraInput) {
+                cameraButton.addEventListener('click', () => cameraInput.click());
+            }
+
+            if (dropzone && fileInput) {
+                dropzone.addEventListener('click', () => fileInput.click());
+                dropzone.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        fileInput.click();
+                    }
+                });
+
+                dropzone.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    dropzone.classList.add('dragover');
+                });
+
+                dropzone.addEventListener('dragleave', () => {
+                    dropzone.classList.remove('dragover');
+                });
+
+                dropzone.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    dropzone.classList.remove('dragover');
+                    this.addPhotos(formName, e.dataTransfer.files);
+                });
+            }
+        });
+    }
+
+    async addPhotos(formName, fileList) {
+        const formData = this.forms.get(formName);
+        const { maxFiles, maxDimension, maxBytes } = formData.photoLimits;
+        const files = Array.from(fileList || []).filter(file => file.type.startsWith('image/'));
+
+        this.clearPhotoError(formName);
+
+        if (files.length < (fileList ? fileList.length : 0)) {
+            this.showPhotoError(formName, this.t('form.photos.onlyImages'));
+        }
+
+        for (const file of files) {
+            if (formData.attachments.length >= maxFiles) {
+                this.showPhotoError(formName, this.t('form.photos.tooMany', { max: maxFiles }));
+                break;
+            }
+
+            try {
+                const blob = await this.compressImage(file, maxDimension);
+
+                // Another batch may have filled the slots while this one was compressing
+                if (formData.attachments.length >= maxFiles) {
+                    this.showPhotoError(formName, this.t('form.photos.tooMany', { max: maxFiles }));
+                    break;
+                }
+
+                if (blob.size > maxBytes) {
+                    this.showPhotoError(formName, this.t('form.photos.tooLarge', { name: file.name, max: Math.floor(maxBytes / (1024 * 1024)) }));
+                    continue;
+                }
+
+                const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+                const attachment = {
+                    file: new File([blob], name, { type: blob.type }),
+                    previewUrl: URL.createObjectURL(blob)
+                };
+
+                formData.attachments.push(attachment);
+                this.renderPhotoPreview(formName, attachment);
+            } catch (err) {
+                this.showPhotoError(formName, this.t('form.photos.unreadable', { name: file.name }));
+            }
+        }
+    }
+
+    compressImage(file, maxDimension) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+
+                // Scale the longest side down to maxDimension, never up
+                const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob((blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Image compression failed'));
+                    }
+                }, 'image/jpeg', 0.8);
+            };
+
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unsupported image'));
+            };
+
+            image.src = url;
+        });
+    }
+
+    renderPhotoPreview(formName, attachment) {
+        const formData = this.forms.get(formName);
+        const list = formData.photoUpload.querySelector('.photo-previews');
+        if (!list) return;
+
+        const item = document.createElement('li');
+        item.className = 'photo-preview';
+
+        const img = document.createElement('img');
+        img.src = attachment.previewUrl;
+        img.alt = attachment.file.name;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'photo-remove';
+        removeButton.setAttribute('aria-label', this.t('form.photos.remove', { name: attachment.file.name }));
+        removeButton.innerHTML = '<i class="fas fa-times"></i>';
+        removeButton.addEventListener('click', () => {
+            this.removePhoto(formName, attachment);
+            item.remove();
+        });
+
+        item.appendChild(img);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    }
+
+    removePhoto(formName, attachment) {
+        const formData = this.forms.get(formName);
+
+        formData.attachments = formData.attachments.filter(a => a !== attachment);
+        URL.revokeObjectURL(attachment.previewUrl);
+        this.clearPhotoError(formName);
+    }
+
+    clearPhotos(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData.photoUpload) return;
+
+        formData.attachments.forEach(attachment => URL.revokeObjectURL(attachment.previewUrl));
+        formData.attachments = [];
+
+        const list = formData.photoUpload.querySelector('.photo-previews');
+        if (list) list.innerHTML = '';
+        this.clearPhotoError(formName);
+    }
+
+    showPhotoError(formName, message) {
+        const formData = this.forms.get(formName);
+        const errorElement = formData.photoUpload.querySelector('.error-message');
+
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    clearPhotoError(formName) {
+        const formData = this.forms.get(formName);
+        const errorElement = formData.photoUpload.querySelector('.error-message');
+
+        if (errorElement) {
+            errorElement.style.display = 'none';
+        }
+    }
+
     initInputEnhancements() {
         // Phone number formatting
         const phoneInputs = document.querySelectorAll('input[type="tel"]');
@@ -162,215 +755,942 @@ class FormController {
         });
 
         // Text input animations
-        const textInputs = document.querySelectorAll('input[type="text"], input[type="email"], textarea');
+        const textInputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="number"], textarea');
         textInputs.forEach(input => {
             this.initInputAnimation(input);
         });
 
-        // Select styling
-        const selects = document.querySelectorAll('select');
-        selects.forEach(select => {
-            this.enhanceSelect(select);
-        });
+        // Select styling
+        const selects = document.querySelectorAll('select');
+        selects.forEach(select => {
+            this.enhanceSelect(select);
+        });
+    }
+
+    formatPhoneNumber(input) {
+        // Locale-aware: "(204) 555-1234" in English, "204 555-1234" in French
+        if (window.i18n) {
+            input.value = window.i18n.formatPhone(input.value);
+            return;
+        }
+
+        let value = input.value.replace(/\D/g, '');
+        
+        if (value.length >= 6) {
+            value = value.replace(/(\d{3})(\d{3})(\d{4})/, '($1) $2-$3');
+        } else if (value.length >= 3) {
+            value = value.replace(/(\d{3})(\d{0,3})/, '($1) $2');
+        }
+        
+        input.value = value;
+    }
+
+    initInputAnimation(input) {
+        const parent = input.parentNode;
+        
+        // Add focus/blur animations
+        input.addEventListener('focus', () => {
+            parent.classList.add('focused');
+            this.animateLabel(input, true);
+        });
+        
+        input.addEventListener('blur', () => {
+            if (!input.value.trim()) {
+                parent.classList.remove('focused');
+                this.animateLabel(input, false);
+            }
+        });
+        
+        // Check initial state
+        if (input.value.trim()) {
+            parent.classList.add('focused');
+        }
+    }
+
+    animateLabel(input, isFocused) {
+        const label = input.parentNode.querySelector('label');
+        if (!label) return;
+        
+        if (isFocused) {
+            label.style.transform = 'translateY(-20px) scale(0.8)';
+            label.style.color = 'var(--primary-color)';
+        } else {
+            label.style.transform = 'translateY(0) scale(1)';
+            label.style.color = '';
+        }
+    }
+
+    enhanceSelect(select) {
+        select.addEventListener('change', () => {
+            if (select.value) {
+                select.parentNode.classList.add('has-value');
+            } else {
+                select.parentNode.classList.remove('has-value');
+            }
+        });
+        
+        // Check initial state
+        if (select.value) {
+            select.parentNode.classList.add('has-value');
+        }
+    }
+
+    async validateField(formName, fieldName) {
+        const formData = this.forms.get(formName);
+        if (!formData) return false;
+        
+        const fieldData = formData.fields.get(fieldName);
+        if (!fieldData) return false;
+        
+        const { element: input, rules } = fieldData;
+        const value = input.value;
+
+        // Async validators can resolve out of order; only the latest run counts
+        const run = (fieldData.validationRun || 0) + 1;
+        fieldData.validationRun = run;
+        
+        // Clear previous errors
+        this.clearFieldError(formName, fieldName);
+        
+        // Run validation rules
+        const message = await this.runFieldRules(rules, value, {
+            formName,
+            fieldName,
+            element: input,
+            values: this.getFormValues(formName)
+        });
+
+        if (run !== fieldData.validationRun) return fieldData.isValid;
+
+        if (message) {
+            this.showFieldError(formName, fieldName, message);
+            fieldData.isValid = false;
+            return false;
+        }
+        
+        // Field is valid
+        fieldData.isValid = true;
+        this.showFieldSuccess(formName, fieldName);
+        return true;
+    }
+
+    async validateForm(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData) return false;
+        
+        const checks = [];
+        
+        formData.fields.forEach((fieldData, fieldName) => {
+            if (!this.isFieldActive(fieldData)) return;
+            checks.push(this.validateField(formName, fieldName));
+        });
+        
+        const results = await Promise.all(checks);
+        const fieldsValid = results.every(Boolean);
+
+        return fieldsValid && await this.validateFormRules(formName);
+    }
+
+    showFieldError(formName, fieldName, message) {
+        const formData = this.forms.get(formName);
+        const fieldData = formData.fields.get(fieldName);
+        
+        if (fieldData.errorElement) {
+            fieldData.errorElement.textContent = message;
+            fieldData.errorElement.style.display = 'block';
+        }
+        
+        fieldData.element.parentNode.classList.remove('success');
+        fieldData.element.parentNode.classList.add('error');
+        
+        // Add shake animation
+        fieldData.element.style.animation = 'shake 0.5s ease';
+        setTimeout(() => {
+            fieldData.element.style.animation = '';
+        }, 500);
+    }
+
+    clearFieldError(formName, fieldName) {
+        const formData = this.forms.get(formName);
+        const fieldData = formData.fields.get(fieldName);
+        
+        if (fieldData.errorElement) {
+            fieldData.errorElement.style.display = 'none';
+        }
+        
+        fieldData.element.parentNode.classList.remove('error');
+    }
+
+    showFieldSuccess(formName, fieldName) {
+        const formData = this.forms.get(formName);
+        const fieldData = formData.fields.get(fieldName);
+        
+        fieldData.element.parentNode.classList.add('success');
+        
+        // Remove success class after a delay
+        setTimeout(() => {
+            fieldData.element.parentNode.classList.remove('success');
+        }, 2000);
+    }
+
+    async handleFormSubmit(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData || this.currentSubmission) return;
+
+        if (!this.isLastStep(formName)) {
+            this.nextStep(formName);
+            return;
+        }
+
+        // Claim the submission before (possibly async) validation so double clicks are ignored
+        this.currentSubmission = formName;
+
+        if (!(await this.validateForm(formName))) {
+            this.currentSubmission = null;
+            this.showInvalidStep(formName);
+            this.showFormError(formName, this.t('form.errors.fix'));
+            return;
+        }
+
+        const payload = this.collectFormData(formName);
+        const endpoint = formData.endpoint || formData.element.action || '/api/contact';
+        const idempotencyKey = this.idempotencyKeyFor(formName, payload);
+
+        this.hideSuccessState(formName);
+        this.showLoadingState(formName);
+
+        const ac = new AbortController();
+        const t = setTimeout(() => ac.abort(), 10000); // 10s timeout
+
+        try {
+            const res = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': idempotencyKey },
+            body: this.buildRequestBody(formName, payload),
+            signal: ac.signal
+            });
+            const json = await res.json().catch(() => ({}));
+            if (!res.ok || !json.success) {
+                const error = new Error(json.error || `HTTP ${res.status}`);
+                error.status = res.status;
+                error.code = json.code;
+                error.fields = json.fields;
+                error.token = json.token;
+                throw error;
+            }
+
+            formData.idempotency = null;
+            this.renewToken(formName, json);
+            this.showSuccessState(formName, { reference: json.reference });
+            formData.onSuccess(json);
+        } catch (err) {
+            // The server spent our token before failing; the retry needs the one it sent back
+            if (err.token) {
+                this.renewToken(formName, err);
+                payload.form_token = err.token;
+            }
+
+            // Offline, timed out or server down: keep the request and send it later
+            if (this.isRetryableError(err) && await this.queueSubmission(formName, endpoint, payload, idempotencyKey)) {
+                return;
+            }
+
+            this.showErrorState(formName, err.message || this.t('form.errors.network'), err.code, err.fields);
+            formData.onError(err);
+        } finally {
+            clearTimeout(t);
+            this.currentSubmission = null;
+            this.hideLoadingState(formName);
+        }
+    }
+
+
+    initEstimates() {
+        this.estimateEngine = typeof EstimateEngine !== 'undefined' ? EstimateEngine.fromPage() : null;
+        if (!this.estimateEngine) return;
+
+        this.forms.forEach((formData, formName) => {
+            if (!formData.estimateElement) return;
+
+            // The range follows the visitor's typing, not just blur
+            formData.element.addEventListener('input', () => this.updateEstimate(formName));
+            formData.element.addEventListener('change', () => this.updateEstimate(formName));
+
+            this.updateEstimate(formName);
+        });
+    }
+
+    updateEstimate(formName) {
+        const formData = this.forms.get(formName);
+        if (!this.estimateEngine || !formData.estimateElement) return;
+
+        const values = this.getFormValues(formName);
+        const service = values.service || '';
+
+        formData.estimate = this.estimateEngine.estimate(service, values);
+        this.renderEstimate(formName, this.estimateEngine.hasService(service));
+    }
+
+    renderEstimate(formName, isPriced) {
+        const formData = this.forms.get(formName);
+        const panel = formData.estimateElement;
+        const estimate = formData.estimate;
+
+        panel.hidden = !isPriced;
+        if (!isPriced) return;
+
+        const range = panel.querySelector('.estimate-range');
+        const basis = panel.querySelector('.estimate-basis');
+        panel.classList.toggle('pending', !estimate);
+
+        if (!estimate) {
+            range.textContent = this.t('estimate.prompt');
+            basis.textContent = '';
+            return;
+        }
+
+        const money = (amount) => window.i18n
+            ? window.i18n.formatNumber(amount, { style: 'currency', currency: estimate.currency, maximumFractionDigits: 0 })
+            : `$${amount}`;
+
+        range.textContent = estimate.low === estimate.high
+            ? money(estimate.low)
+            : this.t('estimate.range', { low: money(estimate.low), high: money(estimate.high) });
+
+        const notes = [this.t(`estimate.unit.${estimate.unit}.${estimate.quantity === 1 ? 'one' : 'many'}`, { count: estimate.quantity })];
+        if (estimate.season) notes.push(this.t(`estimate.season.${estimate.season}`));
+        if (estimate.minimumApplied) notes.push(this.t('estimate.minimum'));
+        basis.textContent = notes.join(' · ');
+    }
+
+    initServiceArea() {
+        if (typeof ServiceArea === 'undefined') return;
+
+        this.serviceArea = ServiceArea.fromPage();
+
+        // Same name and check as server/service_area.py
+        this.registerValidator('postalCode', {
+            test: (value) => ServiceArea.normalize(value) !== null,
+            message: 'validation.postalCode'
+        });
+
+        this.forms.forEach((formData, formName) => {
+            const input = formData.element.querySelector('[name="postal_code"]');
+            if (!input) return;
+
+            input.addEventListener('input', () => {
+                this.formatPostalCode(input);
+                this.updateAreaNotice(formName);
+            });
+        });
+    }
+
+    formatPostalCode(input) {
+        const compact = input.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6);
+        input.value = compact.length > 3 ? `${compact.slice(0, 3)} ${compact.slice(3)}` : compact;
+    }
+
+    // Inline "travel fee may apply" notice as soon as the postal code is complete
+    updateAreaNotice(formName) {
+        const formData = this.forms.get(formName);
+        const notice = formData.areaNotice;
+        const input = formData.element.querySelector('[name="postal_code"]');
+        if (!notice || !input || !this.serviceArea) return;
+
+        const result = this.serviceArea.lookup(input.value);
+        notice.hidden = !result;
+        if (!result) return;
+
+        notice.classList.toggle('outside', !result.inside);
+        if (result.inside) {
+            notice.innerHTML = `<i class="fas fa-map-marker-alt"></i> ${this.t('form.area.inside', { area: result.area })}`;
+        } else {
+            const text = result.distanceKm !== null
+                ? this.t('form.area.outside', { distance: result.distanceKm })
+                : this.t('form.area.outsideUnknown');
+            notice.innerHTML = `<i class="fas fa-route"></i> ${text}`;
+        }
+    }
+
+    initBusinessHours() {
+        if (typeof BusinessHours === 'undefined') return;
+
+        this.businessHours = BusinessHours.fromPage();
+        if (!this.businessHours) return;
+
+        this.renderHoursStatus();
+        // Flips between open and closed on the minute, without a reload
+        this.hoursTimer = setInterval(() => this.renderHoursStatus(), 60 * 1000);
+    }
+
+    // Every [data-hours-status] element: "Open now · until 5 p.m.", "Closed · opens Monday at 8 a.m."
+    renderHoursStatus() {
+        if (!this.businessHours) return;
+
+        const status = this.businessHours.status();
+        const text = this.describeHours(status);
+
+        document.querySelectorAll('[data-hours-status]').forEach(element => {
+            // Rewriting the same text would make screen readers announce it every minute
+            if (element.textContent !== text) element.textContent = text;
+            element.classList.toggle('open', status.open);
+            element.classList.toggle('closed', !status.open);
+        });
+
+        const widget = document.getElementById('callbackWidget');
+        if (widget) widget.classList.toggle('business-open', status.open);
+    }
+
+    describeHours(status) {
+        if (status.open) {
+            return `${this.t('hours.open')} · ${this.t('hours.until', { time: this.formatHoursTime(status.closes.minutes) })}`;
+        }
+
+        const lang = window.i18n ? window.i18n.lang : 'en';
+        const closed = status.holiday
+            ? this.t('hours.closedFor', { holiday: status.holiday.name[lang] || status.holiday.name.en })
+            : this.t('hours.closed');
+
+        return status.opens ? `${closed} · ${this.t('hours.opens', this.describeOpening(status.opens))}` : closed;
+    }
+
+    // { day, time } of the next opening: today, tomorrow, a weekday, or a date further out
+    describeOpening(opens) {
+        let day;
+        if (opens.inDays === 0) {
+            day = this.t('hours.today');
+        } else if (opens.inDays === 1) {
+            day = this.t('hours.tomorrow');
+        } else {
+            const options = opens.inDays < 7
+                ? { weekday: 'long', timeZone: 'UTC' }
+                : { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' };
+            const date = new Date(`${opens.date}T12:00:00Z`);
+            day = window.i18n ? window.i18n.formatDate(date, options) : date.toLocaleDateString([], options);
+        }
+
+        return { day, time: this.formatHoursTime(opens.minutes) };
+    }
+
+    formatHoursTime(minutes) {
+        // Formatted as UTC so the Winnipeg wall-clock time comes out unchanged
+        const date = new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+        const options = { hour: 'numeric', timeZone: 'UTC' };
+        if (minutes % 60) options.minute = '2-digit';
+
+        return window.i18n ? window.i18n.formatDate(date, options) : date.toLocaleTimeString([], options);
+    }
+
+    initCallbackWidget() {
+        const widget = document.getElementById('callbackWidget');
+        if (!widget || !this.forms.has('callback')) return;
+
+        const toggle = widget.querySelector('.callback-toggle');
+        const panel = widget.querySelector('.callback-panel');
+
+        toggle.addEventListener('click', () => this.setCallbackOpen(panel.hidden));
+        widget.querySelector('.callback-close').addEventListener('click', () => this.setCallbackOpen(false));
+
+        widget.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !panel.hidden) {
+                this.setCallbackOpen(false);
+            }
+        });
+    }
+
+    setCallbackOpen(open) {
+        const widget = document.getElementById('callbackWidget');
+        const toggle = widget.querySelector('.callback-toggle');
+        const panel = widget.querySelector('.callback-panel');
+
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        widget.classList.toggle('expanded', open);
+
+        if (open) {
+            this.renderHoursStatus();
+            // The first field the controller knows, so never the honeypot
+            const [firstField] = this.forms.get('callback').fields.values();
+            if (firstField) firstField.element.focus();
+        } else {
+            toggle.focus();
+        }
+    }
+
+    initScheduling() {
+        if (typeof VisitScheduler === 'undefined') return;
+
+        this.forms.forEach((formData) => {
+            const input = formData.element.querySelector('[name="visit_slot"]');
+            if (!formData.visitPicker || !input) return;
+
+            formData.scheduler = new VisitScheduler(formData.visitPicker, input);
+            formData.scheduler.load();
+        });
+    }
+
+    // Someone booked the slot first: fresh times, and back to the picker
+    handleSlotTaken(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData.scheduler) return;
+
+        formData.scheduler.load();
+
+        const step = formData.steps.find(s => s.contains(formData.visitPicker));
+        if (step) this.showStep(formName, step);
+        this.showFieldError(formName, 'visit_slot', this.t('form.visit.taken'));
+    }
+
+    initDrafts() {
+        this.forms.forEach((formData, formName) => {
+            if (!formData.draftKey) return;
+
+            const { element, draftPrompt } = formData;
+
+            const scheduleSave = () => {
+                // Typing over an offered draft means the visitor chose to start fresh
+                if (draftPrompt && !draftPrompt.hidden) {
+                    this.hideDraftPrompt(formName);
+                }
+
+                clearTimeout(formData.draftTimer);
+                formData.draftTimer = setTimeout(() => this.saveDraft(formName), this.draftDelay);
+            };
+
+            element.addEventListener('input', scheduleSave);
+            element.addEventListener('change', scheduleSave);
+
+            if (draftPrompt) {
+                const restoreButton = draftPrompt.querySelector('.draft-restore');
+                const discardButton = draftPrompt.querySelector('.draft-discard');
+
+                if (restoreButton) {
+                    restoreButton.addEventListener('click', () => {
+                        this.restoreDraft(formName);
+                        this.hideDraftPrompt(formName);
+                    });
+                }
+
+                if (discardButton) {
+                    discardButton.addEventListener('click', () => {
+                        this.clearDraft(formName);
+                        this.hideDraftPrompt(formName);
+                    });
+                }
+            }
+
+            const draft = this.loadDraft(formName);
+            if (draft) {
+                this.showDraftPrompt(formName, draft);
+            }
+        });
+    }
+
+    saveDraft(formName) {
+        const formData = this.forms.get(formName);
+        const values = {};
+        let hasContent = false;
+
+        formData.fields.forEach((fieldData, fieldName) => {
+            values[fieldName] = fieldData.element.value;
+            if (fieldData.element.value.trim()) hasContent = true;
+        });
+
+        if (!hasContent) {
+            this.clearDraft(formName);
+            return;
+        }
+
+        try {
+            localStorage.setItem(formData.draftKey, JSON.stringify({ savedAt: Date.now(), values }));
+        } catch (err) {
+            // Storage full or disabled (private browsing): autosave is best-effort
+        }
+    }
+
+    loadDraft(formName) {
+        const formData = this.forms.get(formName);
+        let draft = null;
+
+        try {
+            draft = JSON.parse(localStorage.getItem(formData.draftKey));
+        } catch (err) {
+            draft = null;
+        }
+
+        if (!draft || !draft.values || typeof draft.savedAt !== 'number') return null;
+
+        if (Date.now() - draft.savedAt > this.draftTTL) {
+            this.clearDraft(formName);
+            return null;
+        }
+
+        return draft;
+    }
+
+    restoreDraft(formName) {
+        const formData = this.forms.get(formName);
+        const draft = this.loadDraft(formName);
+        if (!draft) return;
+
+        formData.fields.forEach((fieldData, fieldName) => {
+            const value = draft.values[fieldName];
+            if (typeof value !== 'string') return;
+
+            const input = fieldData.element;
+            input.value = value;
+
+            // Match the label state the visitor would have left behind
+            if (input.tagName === 'SELECT') {
+                input.parentNode.classList.toggle('has-value', Boolean(input.value));
+            } else if (input.value.trim()) {
+                input.parentNode.classList.add('focused');
+            }
+        });
+
+        if (formData.steps.length > 0) {
+            this.updateServiceFields(formName);
+        }
+
+        if (formData.scheduler) {
+            formData.scheduler.load();
+        }
+
+        this.updateAreaNotice(formName);
+    }
+
+    clearDraft(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData.draftKey) return;
+
+        clearTimeout(formData.draftTimer);
+
+        try {
+            localStorage.removeItem(formData.draftKey);
+        } catch (err) {
+            // Nothing stored to clear
+        }
+    }
+
+    showDraftPrompt(formName, draft) {
+        const formData = this.forms.get(formName);
+        const prompt = formData.draftPrompt;
+        if (!prompt) return;
+
+        const text = prompt.querySelector('.draft-prompt-text');
+        if (text) {
+            const options = { weekday: 'long', hour: 'numeric', minute: '2-digit' };
+            const date = window.i18n
+                ? window.i18n.formatDate(new Date(draft.savedAt), options)
+                : new Date(draft.savedAt).toLocaleString([], options);
+
+            text.textContent = this.t('form.draft.prompt', { date });
+        }
+
+        prompt.hidden = false;
+    }
+
+    hideDraftPrompt(formName) {
+        const formData = this.forms.get(formName);
+        if (formData.draftPrompt) {
+            formData.draftPrompt.hidden = true;
+        }
+    }
+
+    handleLanguageChange() {
+        this.forms.forEach((formData, formName) => {
+            this.renderProgress(formName);
+
+            // Re-run validation so visible errors switch language too
+            formData.fields.forEach((fieldData, fieldName) => {
+                if (fieldData.element.parentNode.classList.contains('error')) {
+                    this.validateField(formName, fieldName);
+                }
+            });
+
+            formData.fields.forEach(fieldData => {
+                if (fieldData.element.type === 'tel' && fieldData.element.value) {
+                    this.formatPhoneNumber(fieldData.element);
+                }
+            });
+
+            if (formData.queuedElement && !formData.queuedElement.hidden) {
+                this.showQueuedState(formName, formData.queuedCount);
+            }
+
+            if (formData.draftPrompt && !formData.draftPrompt.hidden) {
+                const draft = this.loadDraft(formName);
+                if (draft) this.showDraftPrompt(formName, draft);
+            }
+
+            this.updateEstimate(formName);
+
+            if (formData.scheduler) {
+                formData.scheduler.render();
+            }
+
+            this.updateAreaNotice(formName);
+        });
+
+        this.renderHoursStatus();
+    }
+
+    isRetryableError(err) {
+        return typeof SubmissionQueue !== 'undefined' && SubmissionQueue.isRetryable(err);
+    }
+
+    initSubmissionQueue() {
+        if (typeof SubmissionQueue === 'undefined' || !('indexedDB' in window)) return;
+
+        this.submissionQueue = new SubmissionQueue();
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(err => {
+                console.warn('Service worker registration failed:', err);
+            });
+
+            // The service worker reports what it delivered during background sync
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'submission-queue') {
+                    this.handleQueueResult(e.data.result);
+                }
+            });
+        }
+
+        window.addEventListener('online', () => this.retryQueuedSubmissions());
+
+        // Pick up anything left over from a previous visit
+        this.submissionQueue.count().then(count => {
+            if (count > 0) {
+                this.refreshQueuedStates();
+                this.retryQueuedSubmissions();
+            }
+        }).catch(() => {});
+    }
+
+    async queueSubmission(formName, endpoint, payload, idempotencyKey) {
+        if (!this.submissionQueue) return false;
+
+        const formData = this.forms.get(formName);
+        const files = (formData.attachments || []).map(attachment => ({
+            field: 'photos',
+            blob: attachment.file,
+            name: attachment.file.name
+        }));
+
+        try {
+            await this.submissionQueue.add({ formName, endpoint, payload, files, idempotencyKey });
+        } catch (err) {
+            console.warn('Could not queue submission:', err);
+            return false;
+        }
+
+        formData.idempotency = null;
+        this.resetForm(formName);
+        this.clearDraft(formName);
+        this.showQueuedState(formName, await this.submissionQueue.count(formName));
+        this.scheduleQueueRetry();
+        return true;
+    }
+
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) return false;
+
+            await registration.sync.register(SubmissionQueue.SYNC_TAG);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async scheduleQueueRetry() {
+        if (await this.requestBackgroundSync()) return;
+
+        // Fallback for browsers without Background Sync: retry with backoff
+        clearTimeout(this.queueRetryTimer);
+        this.queueRetryTimer = setTimeout(() => this.retryQueuedSubmissions(), this.queueRetryDelay);
+        this.queueRetryDelay = Math.min(this.queueRetryDelay * 2, 5 * 60 * 1000);
     }
 
-    formatPhoneNumber(input) {
-        let value = input.value.replace(/\D/g, '');
-        
-        if (value.length >= 6) {
-            value = value.replace(/(\d{3})(\d{3})(\d{4})/, '($1) $2-$3');
-        } else if (value.length >= 3) {
-            value = value.replace(/(\d{3})(\d{0,3})/, '($1) $2');
+    async retryQueuedSubmissions() {
+        if (!this.submissionQueue) return;
+
+        // Background Sync (when available) owns delivery, so two senders never race
+        if (await this.requestBackgroundSync()) return;
+
+        if (!navigator.onLine) {
+            this.scheduleQueueRetry();
+            return;
+        }
+
+        try {
+            const result = await this.submissionQueue.flush();
+            this.handleQueueResult(result);
+
+            if (result.remaining > 0) {
+                this.scheduleQueueRetry();
+            } else {
+                this.queueRetryDelay = 5000;
+            }
+        } catch (err) {
+            console.warn('Queued submission retry failed:', err);
+            this.scheduleQueueRetry();
         }
-        
-        input.value = value;
     }
 
-    initInputAnimation(input) {
-        const parent = input.parentNode;
-        
-        // Add focus/blur animations
-        input.addEventListener('focus', () => {
-            parent.classList.add('focused');
-            this.animateLabel(input, true);
+    handleQueueResult(result) {
+        if (!result) return;
+
+        result.sent.forEach(({ entry, response }) => {
+            const formData = this.forms.get(entry.formName);
+            if (!formData) return;
+
+            this.hideQueuedState(entry.formName);
+            this.renewToken(entry.formName, response);
+            this.showSuccessState(entry.formName, { resetForm: false, reference: response && response.reference });
+            formData.onSuccess(response);
         });
-        
-        input.addEventListener('blur', () => {
-            if (!input.value.trim()) {
-                parent.classList.remove('focused');
-                this.animateLabel(input, false);
-            }
+
+        result.failed.forEach(({ entry, error, token }) => {
+            const formData = this.forms.get(entry.formName);
+            if (!formData) return;
+
+            this.hideQueuedState(entry.formName);
+            this.renewToken(entry.formName, { token });
+            this.showFormError(entry.formName, this.t('form.errors.queuedFailed', { error }));
+            formData.onError(new Error(error));
         });
-        
-        // Check initial state
-        if (input.value.trim()) {
-            parent.classList.add('focused');
+
+        if (result.remaining > 0) {
+            this.refreshQueuedStates();
         }
     }
 
-    animateLabel(input, isFocused) {
-        const label = input.parentNode.querySelector('label');
-        if (!label) return;
-        
-        if (isFocused) {
-            label.style.transform = 'translateY(-20px) scale(0.8)';
-            label.style.color = 'var(--primary-color)';
-        } else {
-            label.style.transform = 'translateY(0) scale(1)';
-            label.style.color = '';
+    // Form tokens are single-use; a response to a request that spent one brings the next
+    renewToken(formName, response) {
+        const formData = this.forms.get(formName);
+        if (formData && formData.tokenInput && response && response.token) {
+            formData.tokenInput.value = response.token;
         }
     }
 
-    enhanceSelect(select) {
-        select.addEventListener('change', () => {
-            if (select.value) {
-                select.parentNode.classList.add('has-value');
+    // The queue is shared; each form only reports its own waiting requests
+    async refreshQueuedStates() {
+        for (const formName of this.forms.keys()) {
+            const count = await this.submissionQueue.count(formName).catch(() => 0);
+            if (count > 0) {
+                this.showQueuedState(formName, count);
             } else {
-                select.parentNode.classList.remove('has-value');
+                this.hideQueuedState(formName);
             }
-        });
-        
-        // Check initial state
-        if (select.value) {
-            select.parentNode.classList.add('has-value');
         }
     }
 
-    validateField(formName, fieldName) {
+    showQueuedState(formName, count = 1) {
         const formData = this.forms.get(formName);
-        if (!formData) return false;
-        
-        const fieldData = formData.fields.get(fieldName);
-        if (!fieldData) return false;
-        
-        const { element: input, rules, errorElement } = fieldData;
-        const value = input.value;
-        
-        // Clear previous errors
-        this.clearFieldError(formName, fieldName);
-        
-        // Run validation rules
-        for (const rule of rules) {
-            const validator = this.validators.get(rule);
-            if (validator && !validator.test(value)) {
-                this.showFieldError(formName, fieldName, validator.message);
-                fieldData.isValid = false;
-                return false;
-            }
+        const element = formData && formData.queuedElement;
+        if (!element) return;
+
+        const text = element.querySelector('.form-queued-text');
+        if (text) {
+            text.textContent = count > 1
+                ? this.t('form.queued.many', { count })
+                : this.t('form.queued.one');
         }
-        
-        // Field is valid
-        fieldData.isValid = true;
-        this.showFieldSuccess(formName, fieldName);
-        return true;
-    }
 
-    validateForm(formName) {
-        const formData = this.forms.get(formName);
-        if (!formData) return false;
-        
-        let isFormValid = true;
-        
-        formData.fields.forEach((fieldData, fieldName) => {
-            if (!this.validateField(formName, fieldName)) {
-                isFormValid = false;
-            }
-        });
-        
-        return isFormValid;
+        formData.queuedCount = count;
+        element.hidden = false;
     }
 
-    showFieldError(formName, fieldName, message) {
+    hideQueuedState(formName) {
         const formData = this.forms.get(formName);
-        const fieldData = formData.fields.get(fieldName);
-        
-        if (fieldData.errorElement) {
-            fieldData.errorElement.textContent = message;
-            fieldData.errorElement.style.display = 'block';
+        if (formData && formData.queuedElement) {
+            formData.queuedElement.hidden = true;
         }
-        
-        fieldData.element.parentNode.classList.add('error');
-        
-        // Add shake animation
-        fieldData.element.style.animation = 'shake 0.5s ease';
-        setTimeout(() => {
-            fieldData.element.style.animation = '';
-        }, 500);
     }
 
-    clearFieldError(formName, fieldName) {
+    showInvalidStep(formName) {
         const formData = this.forms.get(formName);
-        const fieldData = formData.fields.get(fieldName);
-        
-        if (fieldData.errorElement) {
-            fieldData.errorElement.style.display = 'none';
+        if (formData.steps.length === 0) return;
+
+        const invalidStep = this.getActiveSteps(formName).find(step =>
+            Array.from(formData.fields.values()).some(fieldData =>
+                step.contains(fieldData.element) && this.isFieldActive(fieldData) && !fieldData.isValid
+            )
+        );
+
+        if (invalidStep) {
+            this.showStep(formName, invalidStep);
         }
-        
-        fieldData.element.parentNode.classList.remove('error');
     }
 
-    showFieldSuccess(formName, fieldName) {
+    collectFormData(formName) {
         const formData = this.forms.get(formName);
-        const fieldData = formData.fields.get(fieldName);
-        
-        fieldData.element.parentNode.classList.add('success');
+        const data = {};
         
-        // Remove success class after a delay
-        setTimeout(() => {
-            fieldData.element.parentNode.classList.remove('success');
-        }, 2000);
-    }
+        formData.fields.forEach((fieldData, fieldName) => {
+            if (!this.isFieldActive(fieldData)) return;
 
-    async handleFormSubmit(formName) {
-        const formData = this.forms.get(formName);
-        if (!formData || this.currentSubmission) return;
+            // Service-specific answers travel together so the server can label them
+            if (fieldData.element.closest('.service-fields')) {
+                data.details = data.details || {};
+                data.details[fieldName] = fieldData.element.value;
+                return;
+            }
 
-        if (!this.validateForm(formName)) {
-            this.showFormError('Please correct the errors above before submitting.');
-            return;
-        }
+            data[fieldName] = fieldData.element.value;
+        });
 
-        const payload = this.collectFormData(formName);
-        const endpoint = formData.endpoint || formData.element.action || '/api/contact';
+        // Tells us which language to reply in
+        data.lang = window.i18n ? window.i18n.lang : 'en';
 
-        this.currentSubmission = formName;
-        this.showLoadingState(formName);
+        // Checked by server/spam.py
+        if (formData.tokenInput) data.form_token = formData.tokenInput.value;
+        if (formData.honeypot) data.website = formData.honeypot.value;
 
-        const ac = new AbortController();
-        const t = setTimeout(() => ac.abort(), 10000); // 10s timeout
+        return data;
+    }
 
-        try {
-            const res = await fetch(endpoint, {
-            method: 'POST',
-            headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify(payload),
-            signal: ac.signal
-            });
-            const json = await res.json().catch(() => ({}));
-            if (!res.ok || !json.success) throw new Error(json.error || `HTTP ${res.status}`);
+    buildRequestBody(formName, payload) {
+        const formData = this.forms.get(formName);
+        const body = new FormData();
 
-            this.showSuccessState(formName);
-            formData.onSuccess(json);
-        } catch (err) {
-            this.showErrorState(formName, err.message || 'Network error');
-            formData.onError(err);
-        } finally {
-            clearTimeout(t);
-            this.currentSubmission = null;
-            this.hideLoadingState(formName);
+        // Nested answers (details) survive as JSON; photos ride along as files
+        body.append('payload', JSON.stringify(payload));
+        (formData.attachments || []).forEach(attachment => {
+            body.append('photos', attachment.file, attachment.file.name);
+        });
+
+        return body;
+    }
+
+    // One key per submission attempt: resending the same answers (double tap, retry after
+    // a timeout) reuses it so /api/contact answers with the first result instead of
+    // creating a second lead. Changing anything starts a new attempt.
+    idempotencyKeyFor(formName, payload) {
+        const formData = this.forms.get(formName);
+        const fingerprint = JSON.stringify(payload) + (formData.attachments || [])
+            .map(attachment => `|${attachment.file.name}:${attachment.file.size}`)
+            .join('');
+
+        if (!formData.idempotency || formData.idempotency.fingerprint !== fingerprint) {
+            formData.idempotency = { key: this.generateIdempotencyKey(), fingerprint };
         }
+        return formData.idempotency.key;
     }
 
+    generateIdempotencyKey() {
+        if (window.crypto && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
 
-    collectFormData(formName) {
-        const formData = this.forms.get(formName);
-        const data = {};
-        
-        formData.fields.forEach((fieldData, fieldName) => {
-            data[fieldName] = fieldData.element.value;
-        });
-        
-        return data;
+        // randomUUID needs a secure context; same 128 bits of randomness otherwise
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
     async submitFormData(endpoint, data) {
@@ -424,56 +1744,184 @@ class FormController {
         }
     }
 
-    showSuccessState(formName) {
+    initSuccessState() {
+        this.forms.forEach((formData, formName) => {
+            const element = formData.successElement;
+            if (!element) return;
+
+            const copyButton = element.querySelector('.form-reference-copy');
+            if (copyButton) copyButton.addEventListener('click', () => this.copyReference(formName));
+
+            const dismissButton = element.querySelector('.form-success-dismiss');
+            if (dismissButton) dismissButton.addEventListener('click', () => this.hideSuccessState(formName));
+        });
+    }
+
+    showSuccessState(formName, { resetForm = true, reference = null } = {}) {
         const formData = this.forms.get(formName);
+        const element = formData.successElement;
+
+        // The request went through, so an earlier problem no longer applies
+        this.hideFormError(formName);
         
-        if (formData.successElement) {
-            formData.successElement.classList.add('show');
+        if (element) {
+            clearTimeout(formData.successTimer);
+
+            const referenceElement = element.querySelector('.form-reference');
+            const dismissButton = element.querySelector('.form-success-dismiss');
+            if (referenceElement) {
+                referenceElement.querySelector('.form-reference-code').textContent = reference || '';
+                const trackLink = referenceElement.querySelector('.form-reference-track');
+                if (trackLink && reference) trackLink.href = `/status?ref=${encodeURIComponent(reference)}`;
+                referenceElement.hidden = !reference;
+            }
+            if (dismissButton) dismissButton.hidden = !reference;
+
+            element.classList.add('show');
             
-            // Hide after 5 seconds
-            setTimeout(() => {
-                formData.successElement.classList.remove('show');
-            }, 5000);
+            // A reference number stays until dismissed so it can be written down
+            if (!reference) {
+                formData.successTimer = setTimeout(() => this.hideSuccessState(formName), 5000);
+            }
         }
         
-        // Reset form
-        this.resetForm(formName);
+        // Reset form (a replayed submission must not wipe what the visitor is typing now)
+        if (resetForm) {
+            this.resetForm(formName);
+            this.clearDraft(formName);
+        }
+    }
+
+    hideSuccessState(formName) {
+        const formData = this.forms.get(formName);
+        if (!formData.successElement) return;
+
+        clearTimeout(formData.successTimer);
+        formData.successElement.classList.remove('show');
+    }
+
+    async copyReference(formName) {
+        const element = this.forms.get(formName).successElement;
+        const code = element.querySelector('.form-reference-code');
+        const label = element.querySelector('.form-reference-copy span');
+
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            copied = true;
+        } catch (err) {
+            // No clipboard API (plain http, older browsers): select it for Ctrl+C
+            copied = this.selectForCopy(code);
+        }
+
+        label.textContent = this.t(copied ? 'form.reference.copied' : 'form.reference.copyFailed');
+        setTimeout(() => {
+            label.textContent = this.t('form.reference.copy');
+        }, 2000);
+    }
+
+    selectForCopy(element) {
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        try {
+            return document.execCommand('copy');
+        } catch (err) {
+            return false;
+        }
     }
 
-    showErrorState(formName, message) {
-        this.showFormError(message);
+    showErrorState(formName, message, code, fields) {
+        if (code === 'invalid' && fields) {
+            this.showServerFieldErrors(formName, message, fields);
+            return;
+        }
+
+        if (code === 'slot_taken') {
+            this.handleSlotTaken(formName);
+            this.showFormError(formName, this.t('form.visit.taken'), { polite: true });
+            return;
+        }
+
+        // Bot checks can catch real people too: explain what to do instead of alarming them
+        if (code === 'rejected' || code === 'rate_limited') {
+            this.showFormError(formName, this.t(code === 'rejected' ? 'form.errors.rejected' : 'form.errors.rateLimited'), { polite: true });
+            return;
+        }
+
+        this.showFormError(formName, message);
+    }
+
+    // Server-side validation failures ({field: message}) land on the inputs they belong to
+    showServerFieldErrors(formName, message, fields) {
+        const formData = this.forms.get(formName);
+        const unmatched = [];
+
+        Object.entries(fields).forEach(([fieldName, fieldMessage]) => {
+            // Photos are not a form field; their errors go under the uploader
+            if (fieldName === 'photos' && formData.photoUpload) {
+                this.showPhotoError(formName, fieldMessage);
+                return;
+            }
+
+            const fieldData = formData.fields.get(fieldName);
+            if (!fieldData) {
+                unmatched.push(fieldMessage);
+                return;
+            }
+
+            fieldData.isValid = false;
+            fieldData.touched = true;
+            this.showFieldError(formName, fieldName, fieldMessage);
+        });
+
+        this.showInvalidStep(formName);
+        this.showFormError(formName, [message, ...unmatched].join(' '));
     }
 
-    showFormError(message) {
+    showFormError(formName, message, { polite = false } = {}) {
+        const form = this.forms.get(formName).element;
+
         // Create or update error message element
-        let errorElement = document.querySelector('.form-error');
+        let errorElement = form.querySelector('.form-error');
         
         if (!errorElement) {
             errorElement = document.createElement('div');
             errorElement.className = 'form-error';
+            errorElement.setAttribute('role', 'alert');
             errorElement.style.cssText = `
-                background: #e74c3c;
-                color: white;
-                padding: 1rem;
+                position: relative;
+                padding: 1rem 2.5rem;
                 border-radius: 8px;
                 margin-bottom: 1rem;
                 text-align: center;
                 animation: slideDown 0.3s ease;
             `;
+            errorElement.innerHTML = `
+                <span class="form-error-text"></span>
+                <button type="button" class="form-error-dismiss"><i class="fas fa-times"></i></button>
+            `;
+            errorElement.querySelector('.form-error-dismiss').addEventListener('click', () => this.hideFormError(formName));
             
-            const form = document.querySelector('.contact-form');
-            if (form) {
-                form.insertBefore(errorElement, form.firstChild);
-            }
+            form.insertBefore(errorElement, form.firstChild);
         }
         
-        errorElement.textContent = message;
+        errorElement.querySelector('.form-error-text').textContent = message;
+        errorElement.querySelector('.form-error-dismiss').setAttribute('aria-label', this.t('form.errors.dismiss'));
+        errorElement.style.background = polite ? '#fff8e1' : '#e74c3c';
+        errorElement.style.color = polite ? '#333333' : 'white';
+        // Stays up until dismissed: the visitor may still be fixing what it describes
         errorElement.style.display = 'block';
-        
-        // Hide after 5 seconds
-        setTimeout(() => {
+    }
+
+    hideFormError(formName) {
+        const errorElement = this.forms.get(formName).element.querySelector('.form-error');
+        if (errorElement) {
             errorElement.style.display = 'none';
-        }, 5000);
+        }
     }
 
     resetForm(formName) {
@@ -490,21 +1938,58 @@ class FormController {
         
         // Reset form element
         formData.element.reset();
+        this.clearPhotos(formName);
+
+        // Back to the first step of the wizard
+        if (formData.steps.length > 0) {
+            this.updateServiceFields(formName);
+            this.showStep(formName, formData.steps[0]);
+        }
+
+        // The slot just booked is gone now
+        if (formData.scheduler) {
+            formData.scheduler.load();
+        }
+
+        this.updateAreaNotice(formName);
     }
 
     handleContactSuccess(response) {
         // Additional success handling for contact form
         console.log('Contact form submitted successfully:', response);
-        
-        // Could trigger analytics events, show additional UI, etc.
+
+        this.track('form_submit', { form: 'contact', outcome: 'success' });
         this.triggerSuccessAnimation();
     }
 
     handleContactError(error) {
         // Additional error handling for contact form
         console.error('Contact form submission error:', error);
-        
-        // Could trigger error analytics, show retry options, etc.
+
+        this.track('form_submit', { form: 'contact', outcome: 'error', code: error.code || (error.status ? `http_${error.status}` : 'network') });
+    }
+
+    handleCallbackSuccess(response) {
+        const text = this.forms.get('callback').successElement.querySelector('.callback-success-text');
+        if (text) text.textContent = this.describeCallback(response);
+
+        this.track('form_submit', { form: 'callback', outcome: 'success' });
+    }
+
+    handleCallbackError(error) {
+        console.error('Callback request error:', error);
+
+        this.track('form_submit', { form: 'callback', outcome: 'error', code: error.code || (error.status ? `http_${error.status}` : 'network') });
+    }
+
+    // When to expect the call: shortly while we're open, otherwise at the next opening
+    describeCallback(response) {
+        const status = this.businessHours ? this.businessHours.status() : null;
+        if (!status) return this.t(response && response.open === false ? 'callback.success.later' : 'callback.success.open');
+
+        if (status.open) return this.t('callback.success.open');
+        if (!status.opens) return this.t('callback.success.later');
+        return this.t('callback.success.closed', this.describeOpening(status.opens));
     }
 
     triggerSuccessAnimation() {
@@ -530,7 +2015,7 @@ class FormController {
         }, 1000);
     }
 
-    // Public methods for external use
+    // Public methods for external use (validation resolves asynchronously)
     validateFormField(formName, fieldName) {
         return this.validateField(formName, fieldName);
     }
@@ -668,6 +2153,17 @@ const formStyles = `
     }
     .form-success { display: none; }
     .form-success.show { display: block; }
+
+    .form-error-dismiss {
+        position: absolute;
+        top: 0.5rem;
+        right: 0.5rem;
+        background: none;
+        border: none;
+        color: inherit;
+        cursor: pointer;
+        padding: 0.25rem 0.5rem;
+    }
 `;
 
 // Inject form styles
@@ -675,7 +2171,7 @@ const formStyleSheet = document.createElement('style');
 formStyleSheet.textContent = formStyles;
 document.head.appendChild(formStyleSheet);
 
-// Initialize form controller
+// Initialize form controller (exposed so other scripts can register validators)
 document.addEventListener('DOMContentLoaded', () => {
-    new FormController();
+    window.formController = new FormController();
 });
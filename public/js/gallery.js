@@ -1,6 +1,17 @@
 /**
  * Gallery and modal functionality for Excaliber Construction website
- * Handles portfolio image viewing and modal interactions
+ * Handles portfolio image viewing and modal interactions. The cards are
+ * rendered later by portfolio.js, so clicks are delegated and refresh() only
+ * prepares images it has not seen before.
+ *
+ * A card opens its project's album (from portfolio.js): the before/after pair
+ * as a comparison slider (comparison.js) followed by the photos, which can be
+ * zoomed and panned (zoom.js). The open photo is in the URL as
+ * #project/<slug>/<n>, so a link opens it directly and Back closes the album.
+ *
+ * While open, the modal is a dialog: the rest of the page is inert, Tab stays
+ * inside it, its keys only apply there, and focus goes back to the card that
+ * opened it. A live region reads out "Photo 3 of 12" and the caption.
  */
 
 class GalleryController {
@@ -8,7 +19,20 @@ class GalleryController {
         this.modal = null;
         this.modalImage = null;
         this.currentImageIndex = 0;
+        // { slug, project, slides: [{ src, caption, comparison? }] }
+        this.album = null;
         this.images = [];
+        this.modalComparison = null;
+        // Whether opening the album added a history entry that closing should go back over
+        this.pushedHistory = false;
+        this.closing = false;
+        // Focus to return to on close, and the page elements made inert while open
+        this.trigger = null;
+        this.inertElements = [];
+        this.zoom = null;
+        this.imageObserver = null;
+        // Images already given lazy loading / srcset, so refresh() can run any number of times
+        this.preparedImages = new WeakSet();
         
         this.init();
     }
@@ -28,17 +52,58 @@ class GalleryController {
             console.warn('Modal elements not found');
             return;
         }
+
+        this.modalTitle = document.getElementById('modalTitle');
+        this.modalDetails = document.getElementById('modalDetails');
+        this.modalCaption = document.getElementById('modalCaption');
+        this.modalCounter = document.getElementById('modalCounter');
+        this.modalThumbs = document.getElementById('modalThumbs');
+        this.modalStatus = document.getElementById('modalStatus');
+        this.modalDialog = this.modal.querySelector('.modal-content') || this.modal;
+        this.prevButton = document.getElementById('modalPrev');
+        this.nextButton = document.getElementById('modalNext');
+
+        // The stage clips the zoomed image; without it the modal simply has no zoom
+        this.modalStage = document.getElementById('modalStage');
+        this.zoomInButton = document.getElementById('modalZoomIn');
+        this.zoomOutButton = document.getElementById('modalZoomOut');
+        this.zoomControls = this.modal.querySelector('.modal-zoom');
+        if (this.modalStage && typeof ImageZoom !== 'undefined') {
+            this.zoom = new ImageZoom(this.modalStage, this.modalImage, {
+                onChange: (scale) => this.updateZoomControls(scale)
+            });
+        }
     }
 
+    updateZoomControls(scale) {
+        if (this.zoomInButton) this.zoomInButton.disabled = scale >= ImageZoom.MAX_SCALE;
+        if (this.zoomOutButton) this.zoomOutButton.disabled = scale <= 1;
+    }
+
+    // Called once; cards added later are handled by delegation
     setupEventListeners() {
         // Portfolio image clicks
-        const portfolioButtons = document.querySelectorAll('.portfolio-btn');
-        portfolioButtons.forEach((btn, index) => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const imageSrc = btn.getAttribute('data-image');
-                this.openModal(imageSrc, index);
-            });
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.portfolio-btn');
+            if (!btn) return;
+
+            e.preventDefault();
+            const slug = btn.getAttribute('data-project');
+            if (!slug || !this.openProject(slug)) {
+                this.openModal(btn.getAttribute('data-image'), btn.getAttribute('data-caption') || '');
+            }
+        });
+
+        // A #project/... link can only open once the projects have loaded
+        document.addEventListener('portfolio:render', () => {
+            this.refresh();
+            this.handleHash();
+        });
+
+        window.addEventListener('hashchange', () => this.handleHash());
+
+        document.addEventListener('i18n:change', () => {
+            if (this.album && this.modal && this.modal.classList.contains('active')) this.renderInfo();
         });
 
         // Modal close events
@@ -49,15 +114,34 @@ class GalleryController {
             if (closeBtn) {
                 closeBtn.addEventListener('click', () => this.closeModal());
             }
+
+            if (this.prevButton) {
+                this.prevButton.addEventListener('click', () => this.previousImage());
+            }
+
+            if (this.nextButton) {
+                this.nextButton.addEventListener('click', () => this.nextImage());
+            }
+
+            if (this.zoom && this.zoomInButton) {
+                this.zoomInButton.addEventListener('click', () => this.zoom.zoomBy(GalleryController.ZOOM_STEP));
+            }
+
+            if (this.zoom && this.zoomOutButton) {
+                this.zoomOutButton.addEventListener('click', () => this.zoom.zoomBy(1 / GalleryController.ZOOM_STEP));
+            }
             
             if (overlay) {
                 overlay.addEventListener('click', () => this.closeModal());
             }
             
-            // Keyboard events
-            document.addEventListener('keydown', (e) => {
-                if (this.modal.classList.contains('active')) {
+            // Keyboard events, only while focus is in the modal (arrows a comparison slider used are left alone)
+            this.modal.addEventListener('keydown', (e) => {
+                if (this.modal.classList.contains('active') && !e.defaultPrevented) {
                     switch(e.key) {
+                        case 'Tab':
+                            this.trapFocus(e);
+                            break;
                         case 'Escape':
                             this.closeModal();
                             break;
@@ -67,6 +151,22 @@ class GalleryController {
                         case 'ArrowRight':
                             this.nextImage();
                             break;
+                        case 'Home':
+                            this.goTo(0);
+                            break;
+                        case 'End':
+                            this.goTo(this.images.length - 1);
+                            break;
+                        case '+':
+                        case '=':
+                            if (this.zoomable()) this.zoom.zoomBy(GalleryController.ZOOM_STEP);
+                            break;
+                        case '-':
+                            if (this.zoomable()) this.zoom.zoomBy(1 / GalleryController.ZOOM_STEP);
+                            break;
+                        case '0':
+                            if (this.zoomable()) this.zoom.reset();
+                            break;
                     }
                 }
             });
@@ -76,13 +176,41 @@ class GalleryController {
         this.initTouchEvents();
     }
 
-    openModal(imageSrc, index = 0) {
+    // Opens a project's album at photo `index` (0-based); false when the project is unknown
+    openProject(slug, index = 0, { updateUrl = true } = {}) {
+        const project = window.portfolio ? window.portfolio.find(slug) : null;
+        if (!project || !this.modal || !this.modalImage) return false;
+
+        const slides = this.albumSlides(project);
+        index = Math.min(Math.max(index, 0), slides.length - 1);
+
+        if (updateUrl) {
+            history.pushState(null, '', GalleryController.hashFor(slug, index));
+            this.pushedHistory = true;
+        }
+        this.openAlbum({ slug, project, slides }, index);
+        return true;
+    }
+
+    // A lone image that belongs to no project
+    openModal(imageSrc, caption = '') {
+        this.openAlbum({ slug: null, project: null, slides: [{ src: imageSrc, caption }] }, 0);
+    }
+
+    openAlbum(album, index) {
         if (!this.modal || !this.modalImage) return;
-        
+
+        const wasOpen = this.modal.classList.contains('active') && !this.closing;
+        if (!wasOpen) {
+            this.trigger = document.activeElement;
+            this.setBackgroundInert(true);
+        }
+        this.album = album;
+        this.images = album.slides.map(slide => slide.src);
         this.currentImageIndex = index;
-        this.collectAllImages();
-        
-        this.modalImage.src = imageSrc;
+
+        this.renderThumbs();
+        this.showSlide();
         this.modal.classList.add('active');
         document.body.style.overflow = 'hidden';
         
@@ -90,23 +218,253 @@ class GalleryController {
         this.preloadAdjacentImages();
         
         // Add opening animation
-        this.animateModalOpen();
+        if (!wasOpen) {
+            this.animateModalOpen();
+            this.modalDialog.focus({ preventScroll: true });
+        }
     }
 
-    closeModal() {
-        if (!this.modal) return;
+    closeModal({ fromHistory = false } = {}) {
+        if (!this.modal || !this.modal.classList.contains('active') || this.closing) return;
+
+        if (!fromHistory) this.leaveHistory();
+        this.closing = true;
+        this.setBackgroundInert(false);
+        this.restoreFocus();
         
         this.animateModalClose(() => {
             this.modal.classList.remove('active');
             document.body.style.overflow = '';
+            if (this.zoom) this.zoom.reset();
+            this.closing = false;
         });
     }
 
-    collectAllImages() {
-        const portfolioButtons = document.querySelectorAll('.portfolio-btn');
-        this.images = Array.from(portfolioButtons).map(btn => 
-            btn.getAttribute('data-image')
-        );
+    // Everything beside the modal, so neither Tab nor a screen reader can reach the page behind it
+    setBackgroundInert(inert) {
+        if (inert) {
+            this.inertElements = Array.from(document.body.children)
+                .filter(el => el !== this.modal && el.tagName !== 'SCRIPT' && !el.hasAttribute('inert'));
+            this.inertElements.forEach(el => el.setAttribute('inert', ''));
+        } else {
+            this.inertElements.forEach(el => el.removeAttribute('inert'));
+            this.inertElements = [];
+        }
+    }
+
+    // Browsers without inert would still let Tab out of the modal
+    trapFocus(e) {
+        const focusable = Array.from(this.modalDialog.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.disabled && !el.closest('[hidden]'));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.modalDialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !this.modalDialog.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Back to the button that opened the album; a deep link falls back to the project's card
+    restoreFocus() {
+        let target = this.trigger;
+        this.trigger = null;
+
+        if (!target || target === document.body || !document.contains(target)) {
+            target = this.album && this.album.slug
+                ? document.querySelector(`.portfolio-btn[data-project="${this.album.slug}"]`)
+                : null;
+        }
+        if (target && typeof target.focus === 'function') target.focus();
+    }
+
+    // Takes #project/... back out of the address bar
+    leaveHistory() {
+        if (this.pushedHistory) {
+            this.pushedHistory = false;
+            history.back();
+        } else if (GalleryController.parseHash(location.hash)) {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+    }
+
+    // Back/forward and links pasted into the address bar
+    handleHash() {
+        const link = GalleryController.parseHash(location.hash);
+        const open = this.modal && this.modal.classList.contains('active') && !this.closing;
+
+        if (link) {
+            if (!open || !this.album || this.album.slug !== link.slug) {
+                this.openProject(link.slug, link.index, { updateUrl: false });
+            } else if (link.index !== this.currentImageIndex) {
+                this.goTo(link.index);
+            }
+        } else if (open && this.album && this.album.slug) {
+            this.pushedHistory = false;
+            this.closeModal({ fromHistory: true });
+        }
+    }
+
+    // The before/after pair first, then the photos; the cover when there is nothing else
+    albumSlides(project) {
+        const slides = [];
+        if (project.comparison) {
+            slides.push({ src: project.comparison.after, caption: null, comparison: project.comparison });
+        }
+        (project.photos || []).forEach(photo => {
+            slides.push({ src: photo.src, caption: photo.caption });
+        });
+        if (!slides.length) slides.push({ src: project.cover, caption: null });
+        return slides;
+    }
+
+    // The current image, or its before/after pair in a comparison slider
+    showSlide() {
+        const current = this.album.slides[this.currentImageIndex];
+        const pair = current.comparison;
+        const alt = this.slideCaption(current) || this.projectInfo().title || this.positionText();
+
+        if (this.modalComparison) {
+            this.modalComparison.remove();
+            this.modalComparison = null;
+        }
+        // Every photo starts unzoomed
+        if (this.zoom) this.zoom.reset();
+
+        const slide = this.modalStage || this.modalImage;
+        // Left over from a transition away from it
+        slide.style.transition = '';
+        slide.style.transform = '';
+        slide.style.opacity = '';
+
+        if (pair && typeof ComparisonSlider !== 'undefined') {
+            this.modalComparison = ComparisonSlider.create(pair, { alt });
+            slide.after(this.modalComparison);
+            slide.hidden = true;
+        } else {
+            this.modalImage.src = current.src;
+            this.modalImage.alt = alt;
+            slide.hidden = false;
+        }
+
+        // A comparison has its own drag; zooming it would fight the divider
+        this.modal.classList.toggle('zoomable', this.zoomable());
+        if (this.zoomControls) this.zoomControls.hidden = !this.zoomable();
+
+        this.renderInfo();
+
+        if (this.album.slug) {
+            const hash = GalleryController.hashFor(this.album.slug, this.currentImageIndex);
+            // Moving through the album replaces the entry, so Back still closes it in one step
+            if (location.hash !== hash) history.replaceState(null, '', hash);
+        }
+    }
+
+    projectInfo() {
+        if (!this.album || !this.album.project || !window.portfolio) return {};
+        return window.portfolio.describe(this.album.project);
+    }
+
+    slideCaption(slide) {
+        if (slide.caption) return window.portfolio ? window.portfolio.localize(slide.caption) : String(slide.caption);
+        return slide.comparison ? this.t('gallery.beforeAfter') : '';
+    }
+
+    t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    // "Photo 3 of 12"
+    positionText(index = this.currentImageIndex) {
+        return this.t('gallery.thumb', { current: index + 1, total: this.album.slides.length });
+    }
+
+    // Title and details of the project, the photo's caption and "3 / 12"
+    renderInfo() {
+        const info = this.projectInfo();
+        const total = this.album.slides.length;
+        const caption = this.slideCaption(this.album.slides[this.currentImageIndex]);
+
+        // Named after the project when there is one, "Photo viewer" otherwise
+        if (info.title) {
+            this.modalDialog.setAttribute('aria-labelledby', 'modalTitle');
+        } else {
+            this.modalDialog.removeAttribute('aria-labelledby');
+        }
+        if (this.modalTitle) this.modalTitle.textContent = info.title || '';
+        if (this.modalDetails) {
+            this.modalDetails.textContent = [info.service, info.location, info.date].filter(Boolean).join(' · ');
+        }
+        if (this.modalCaption) this.modalCaption.textContent = caption;
+        if (this.modalCounter) {
+            this.modalCounter.textContent = this.t('gallery.counter', { current: this.currentImageIndex + 1, total });
+            this.modalCounter.hidden = total < 2;
+        }
+        if (this.modalStatus) {
+            this.modalStatus.textContent = caption
+                ? this.t('gallery.status', { position: this.positionText(), caption })
+                : this.positionText();
+        }
+        [this.prevButton, this.nextButton].forEach(button => {
+            if (button) button.hidden = total < 2;
+        });
+
+        this.updateThumbs();
+    }
+
+    renderThumbs() {
+        if (!this.modalThumbs) return;
+
+        const thumbs = this.album.slides.map((slide, index) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = slide.comparison ? 'modal-thumb is-comparison' : 'modal-thumb';
+            thumb.innerHTML = '<img alt="" loading="lazy">';
+            thumb.querySelector('img').src = slide.src;
+            thumb.addEventListener('click', () => this.goTo(index));
+            return thumb;
+        });
+
+        this.modalThumbs.replaceChildren(...thumbs);
+        this.modalThumbs.hidden = thumbs.length < 2;
+    }
+
+    updateThumbs() {
+        if (!this.modalThumbs) return;
+
+        Array.from(this.modalThumbs.children).forEach((thumb, index) => {
+            const current = index === this.currentImageIndex;
+            thumb.classList.toggle('active', current);
+            thumb.setAttribute('aria-label', this.positionText(index));
+            if (current) {
+                thumb.setAttribute('aria-current', 'true');
+                if (typeof thumb.scrollIntoView === 'function') thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    goTo(index) {
+        if (index === this.currentImageIndex || index < 0 || index >= this.images.length) return;
+
+        const direction = index > this.currentImageIndex ? 'next' : 'prev';
+        this.currentImageIndex = index;
+        this.changeImage(this.images[index], direction);
+    }
+
+    zoomable() {
+        return Boolean(this.zoom) && !this.modalComparison;
+    }
+
+    currentSlide() {
+        return this.modalComparison || this.modalStage || this.modalImage;
     }
 
     nextImage() {
@@ -127,25 +485,29 @@ class GalleryController {
         if (!this.modalImage) return;
         
         // Animate image transition
-        this.modalImage.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
-        this.modalImage.style.transform = direction === 'next' ? 'translateX(-100px)' : 'translateX(100px)';
-        this.modalImage.style.opacity = '0';
+        const outgoing = this.currentSlide();
+        outgoing.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
+        outgoing.style.transform = direction === 'next' ? 'translateX(-100px)' : 'translateX(100px)';
+        outgoing.style.opacity = '0';
         
         setTimeout(() => {
-            this.modalImage.src = newSrc;
-            this.modalImage.style.transform = direction === 'next' ? 'translateX(100px)' : 'translateX(-100px)';
+            this.showSlide();
+            const incoming = this.currentSlide();
+            incoming.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
+            incoming.style.opacity = '0';
+            incoming.style.transform = direction === 'next' ? 'translateX(100px)' : 'translateX(-100px)';
             
             setTimeout(() => {
-                this.modalImage.style.transform = 'translateX(0)';
-                this.modalImage.style.opacity = '1';
+                incoming.style.transform = 'translateX(0)';
+                incoming.style.opacity = '1';
             }, 50);
+            
+            // Reset transition after animation
+            setTimeout(() => {
+                incoming.style.transition = '';
+            }, 200);
         }, 150);
         
-        // Reset transition after animation
-        setTimeout(() => {
-            this.modalImage.style.transition = '';
-        }, 350);
-        
         this.preloadAdjacentImages();
     }
 
@@ -199,16 +561,24 @@ class GalleryController {
         let startX = 0;
         let endX = 0;
         
+        let notSwipe = false;
+        
         this.modal.addEventListener('touchstart', (e) => {
             startX = e.touches[0].clientX;
+            // Dragging a comparison divider, scrolling the thumbnails, pinching, or panning a zoomed photo is not a swipe
+            notSwipe = Boolean(e.target.closest('.comparison, .modal-thumbs')) || e.touches.length > 1 || this.isZoomed();
         });
         
         this.modal.addEventListener('touchend', (e) => {
             endX = e.changedTouches[0].clientX;
-            this.handleSwipe(startX, endX);
+            if (!notSwipe && !this.isZoomed()) this.handleSwipe(startX, endX);
         });
     }
 
+    isZoomed() {
+        return Boolean(this.zoom) && this.zoom.isZoomed();
+    }
+
     handleSwipe(startX, endX) {
         const threshold = 50;
         const diff = startX - endX;
@@ -225,20 +595,24 @@ class GalleryController {
     }
 
     initLazyLoading() {
-        const images = document.querySelectorAll('img[loading="lazy"]');
+        const images = Array.from(document.querySelectorAll('img[loading="lazy"]'))
+            .filter(img => !this.preparedImages.has(img));
+        images.forEach(img => this.preparedImages.add(img));
         
         if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        this.loadImage(img);
-                        imageObserver.unobserve(img);
-                    }
+            if (!this.imageObserver) {
+                this.imageObserver = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            const img = entry.target;
+                            this.loadImage(img);
+                            this.imageObserver.unobserve(img);
+                        }
+                    });
                 });
-            });
+            }
             
-            images.forEach(img => imageObserver.observe(img));
+            images.forEach(img => this.imageObserver.observe(img));
         } else {
             // Fallback for browsers without IntersectionObserver
             images.forEach(img => this.loadImage(img));
@@ -257,6 +631,12 @@ class GalleryController {
             console.warn('Failed to load image:', img.src);
         });
         
+        // Already loaded (cached) images never fire load again
+        if (img.complete && img.naturalWidth) {
+            img.classList.add('loaded');
+            return;
+        }
+        
         // Add loading animation
         img.style.opacity = '0';
         img.style.transition = 'opacity 0.3s ease';
@@ -267,6 +647,7 @@ class GalleryController {
         const portfolioImages = document.querySelectorAll('.portfolio-image img');
         
         portfolioImages.forEach(img => {
+            if (img.srcset) return;
             this.optimizeImage(img);
         });
     }
@@ -298,9 +679,9 @@ class GalleryController {
         return originalUrl;
     }
 
-    // Utility method to refresh gallery after dynamic content updates
+    // Utility method to refresh gallery after dynamic content updates.
+    // Listeners are delegated, so only new images need preparing.
     refresh() {
-        this.setupEventListeners();
         this.initLazyLoading();
         this.initImageOptimization();
     }
@@ -316,14 +697,26 @@ class GalleryController {
         return {
             totalImages: this.images.length,
             currentIndex: this.currentImageIndex,
-            modalOpen: this.modal ? this.modal.classList.contains('active') : false
+            modalOpen: this.modal ? this.modal.classList.contains('active') : false,
+            zoom: this.zoom ? this.zoom.scale : 1
         };
     }
 }
 
+// Zoom factor per button press or +/- key
+GalleryController.ZOOM_STEP = 1.5;
+
+// "#project/<slug>/<n>" with n counted from 1; a bare "#project/<slug>" opens the first photo
+GalleryController.parseHash = (hash) => {
+    const match = /^#project\/([a-z0-9-]+)(?:\/(\d+))?$/.exec(hash || '');
+    return match ? { slug: match[1], index: Math.max(Number(match[2] || 1) - 1, 0) } : null;
+};
+
+GalleryController.hashFor = (slug, index) => `#project/${slug}/${index + 1}`;
+
 // Initialize gallery controller
 document.addEventListener('DOMContentLoaded', () => {
-    new GalleryController();
+    window.gallery = new GalleryController();
 });
 
 // Add CSS for gallery enhancements
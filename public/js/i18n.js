@@ -0,0 +1,164 @@
+/**
+ * Localization for Excaliber Construction website
+ * Translates the page and script messages (English/French) and formats
+ * phone numbers, numbers and dates for the visitor's locale.
+ *
+ * Catalogs live in public/locales/<lang>.json and are embedded in the page
+ * by the server. Markup opts in with:
+ *   data-i18n="key"              text content
+ *   data-i18n-html="key"         trusted markup from our own catalogs
+ *   data-i18n-placeholder="key"  placeholder attribute
+ *   data-i18n-aria-label="key"   aria-label attribute
+ * and <html data-i18n-title="key"> names the page title (default meta.title).
+ */
+
+class I18n {
+    constructor() {
+        this.catalogs = {};
+        this.fallback = 'en';
+        this.locales = { en: 'en-CA', fr: 'fr-CA' };
+        this.storageKey = 'excaliber-lang';
+        this.lang = this.fallback;
+
+        this.init();
+    }
+
+    init() {
+        this.loadCatalogs();
+        this.lang = this.detectLanguage();
+        this.translatePage();
+        this.initSwitcher();
+    }
+
+    loadCatalogs() {
+        const source = document.getElementById('i18nCatalogs');
+        if (!source) return;
+
+        try {
+            this.catalogs = JSON.parse(source.textContent) || {};
+        } catch (err) {
+            console.warn('Invalid i18n catalogs:', err);
+        }
+    }
+
+    detectLanguage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (err) {
+            stored = null;
+        }
+
+        // The server picks <html lang> from the cookie or Accept-Language
+        const candidates = [stored, document.documentElement.lang, this.fallback];
+        return candidates.find(lang => lang && this.catalogs[lang]) || this.fallback;
+    }
+
+    get locale() {
+        return this.locales[this.lang] || this.lang;
+    }
+
+    t(key, params = {}) {
+        const catalog = this.catalogs[this.lang] || {};
+        const fallback = this.catalogs[this.fallback] || {};
+        const message = catalog[key] !== undefined ? catalog[key] : (fallback[key] !== undefined ? fallback[key] : key);
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match
+        );
+    }
+
+    setLanguage(lang) {
+        if (!this.catalogs[lang] || lang === this.lang) return;
+
+        this.lang = lang;
+
+        try {
+            localStorage.setItem(this.storageKey, lang);
+        } catch (err) {
+            // Cookie below still carries the choice
+        }
+        document.cookie = `lang=${lang}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang } }));
+    }
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.getAttribute('data-i18n-html'));
+        });
+
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.getAttribute('data-i18n-placeholder')));
+        });
+
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-aria-label')));
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.lang;
+            // Pages other than the home page name their own title key
+            document.title = this.t(document.documentElement.getAttribute('data-i18n-title') || 'meta.title');
+
+            const description = document.querySelector('meta[name="description"]');
+            if (description) {
+                description.setAttribute('content', this.t('meta.description'));
+            }
+
+            this.updateSwitcher();
+        }
+    }
+
+    initSwitcher() {
+        document.querySelectorAll('.lang-option[data-lang]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setLanguage(button.getAttribute('data-lang'));
+            });
+        });
+
+        this.updateSwitcher();
+    }
+
+    updateSwitcher() {
+        document.querySelectorAll('.lang-option[data-lang]').forEach(button => {
+            const isActive = button.getAttribute('data-lang') === this.lang;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+
+    // North American numbers: "(204) 555-1234" in English, "204 555-1234" in French
+    formatPhone(value) {
+        const digits = String(value).replace(/\D/g, '').slice(0, 10);
+        const area = digits.slice(0, 3);
+        const exchange = digits.slice(3, 6);
+        const line = digits.slice(6);
+
+        if (digits.length < 3) return digits;
+
+        if (this.lang === 'fr') {
+            if (digits.length <= 6) return `${area} ${exchange}`.trim();
+            return `${area} ${exchange}-${line}`;
+        }
+
+        if (digits.length <= 6) return `(${area}) ${exchange}`.trim();
+        return `(${area}) ${exchange}-${line}`;
+    }
+}
+
+// Created as soon as the (deferred) script runs so later scripts can translate
+window.i18n = new I18n();
@@ -5,6 +5,8 @@
 
 class ExcaliberConstruction {
     constructor() {
+        this.currentSection = '';
+        this.viewedSections = new Set();
         this.init();
     }
 
@@ -43,6 +45,11 @@ class ExcaliberConstruction {
         this.initTestimonials();
         this.initPortfolioFilters();
         this.initSmoothScrolling();
+        this.initClickTracking();
+    }
+
+    track(name, props) {
+        if (window.analytics) window.analytics.track(name, props);
     }
 
     handlePageLoad() {
@@ -193,6 +200,15 @@ class ExcaliberConstruction {
                 link.classList.add('active');
             }
         });
+
+        // Each section counts once per page view, not on every scroll event
+        if (currentSection !== this.currentSection) {
+            this.currentSection = currentSection;
+            if (currentSection && !this.viewedSections.has(currentSection)) {
+                this.viewedSections.add(currentSection);
+                this.track('section_view', { section: currentSection });
+            }
+        }
     }
 
     animatedCounters() {
@@ -305,29 +321,33 @@ class ExcaliberConstruction {
     }
 
     initPortfolioFilters() {
-        const filterBtns = document.querySelectorAll('.filter-btn');
-        const portfolioItems = document.querySelectorAll('.portfolio-item');
+        // portfolio.js renders the buttons and items after load, so look them up on each click
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.filter-btn');
+            if (btn) this.filterPortfolio(btn);
+        });
+    }
 
-        filterBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const filter = btn.getAttribute('data-filter');
-                
-                // Update active button
-                filterBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                // Filter items
-                portfolioItems.forEach(item => {
-                    const category = item.getAttribute('data-category');
-                    
-                    if (filter === 'all' || category === filter) {
-                        item.style.display = 'block';
-                        item.style.animation = 'fadeIn 0.5s ease';
-                    } else {
-                        item.style.display = 'none';
-                    }
-                });
-            });
+    filterPortfolio(btn) {
+        const filter = btn.getAttribute('data-filter');
+        const container = btn.closest('.portfolio') || document;
+
+        // Update active button
+        container.querySelectorAll('.filter-btn').forEach(b => {
+            b.classList.toggle('active', b === btn);
+            b.setAttribute('aria-pressed', String(b === btn));
+        });
+
+        // Filter items
+        container.querySelectorAll('.portfolio-item').forEach(item => {
+            const category = item.getAttribute('data-category');
+
+            if (filter === 'all' || category === filter) {
+                item.style.display = 'block';
+                item.style.animation = 'fadeIn 0.5s ease';
+            } else {
+                item.style.display = 'none';
+            }
         });
     }
 
@@ -351,6 +371,30 @@ class ExcaliberConstruction {
         });
     }
 
+    initClickTracking() {
+        // Delegated, so links rendered later are counted too
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link) return;
+
+            const href = link.getAttribute('href');
+            const container = link.closest('section[id], nav[id], footer');
+            const section = container ? (container.id || container.tagName.toLowerCase()) : '';
+
+            if (href.startsWith('tel:')) {
+                this.track('tel_click', { number: href.slice(4), section });
+            } else if (link.classList.contains('service-link') && link.closest('.service-card')) {
+                // "services.tinRoofing.title" -> "tinRoofing"
+                const title = link.closest('.service-card').querySelector('.service-title');
+                const key = title ? title.getAttribute('data-i18n') || '' : '';
+                this.track('learn_more_click', { service: key.split('.')[1] || '' });
+            } else if (href === '#contact' && link.classList.contains('btn')) {
+                const labelled = link.matches('[data-i18n]') ? link : link.querySelector('[data-i18n]');
+                this.track('quote_click', { section, label: labelled ? labelled.getAttribute('data-i18n') : '' });
+            }
+        });
+    }
+
     handleResize() {
         // Close mobile menu on resize to desktop
         if (window.innerWidth > 768) {
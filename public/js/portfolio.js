@@ -0,0 +1,182 @@
+/**
+ * Portfolio for Excaliber Construction website
+ * Builds the project grid and its service filters from /api/projects
+ * (server/projects.json). The cards use the markup the other scripts already
+ * know: main.js filters .portfolio-item by data-category, animations.js and
+ * gallery.js pick new cards up from the "portfolio:render" event. A project
+ * with a before/after pair shows the comparison slider (comparison.js) in
+ * place of its cover. gallery.js opens a card's whole project as an album,
+ * using find() and describe().
+ */
+
+class PortfolioController {
+    constructor() {
+        this.section = document.getElementById('portfolio');
+        this.endpoint = this.section ? this.section.getAttribute('data-endpoint') : '/api/projects';
+        this.projects = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.section) return;
+
+        this.grid = this.section.querySelector('.portfolio-grid');
+        this.filters = this.section.querySelector('.portfolio-filters');
+
+        // Service names follow data-i18n; titles, dates and labels are redone here
+        document.addEventListener('i18n:change', () => this.translate());
+
+        this.load();
+    }
+
+    t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    get lang() {
+        return window.i18n ? window.i18n.lang : 'en';
+    }
+
+    async load() {
+        try {
+            const res = await fetch(this.endpoint, { headers: { 'Accept': 'application/json' } });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const json = await res.json();
+            this.projects = Array.isArray(json.projects) ? json.projects : [];
+        } catch (err) {
+            // The section stays hidden; the rest of the page does not depend on it
+            console.warn('Could not load projects:', err);
+            return;
+        }
+
+        if (this.projects.length) this.render();
+    }
+
+    render() {
+        this.filters.replaceChildren(this.createFilter('all', 'portfolio.filter.all'));
+        const services = [...new Set(this.projects.map(project => project.service))];
+        services.forEach(service => {
+            this.filters.appendChild(this.createFilter(service, PortfolioController.serviceKey(service)));
+        });
+
+        const items = this.projects.map((project, index) => this.createItem(project, index));
+        this.grid.replaceChildren(...items);
+        this.translate();
+
+        this.section.hidden = false;
+        document.querySelectorAll('[data-portfolio-link]').forEach(link => { link.hidden = false; });
+
+        document.dispatchEvent(new CustomEvent('portfolio:render', { detail: { items } }));
+    }
+
+    createFilter(value, key) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = value === 'all' ? 'filter-btn active' : 'filter-btn';
+        button.setAttribute('data-filter', value);
+        button.setAttribute('aria-pressed', String(value === 'all'));
+        button.setAttribute('data-i18n', key);
+        button.textContent = this.t(key);
+        return button;
+    }
+
+    createItem(project, index) {
+        const item = document.createElement('article');
+        item.className = 'portfolio-item animate-fade-up';
+        item.setAttribute('data-category', project.service);
+        item.setAttribute('data-slug', project.slug);
+        item.setAttribute('data-delay', String((index % 3) * 0.1));
+
+        item.innerHTML = `
+            <div class="portfolio-image">
+                <img loading="lazy" alt="">
+                <div class="portfolio-overlay">
+                    <button type="button" class="portfolio-btn">
+                        <i class="fas fa-search-plus" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="portfolio-content">
+                <span class="portfolio-category"></span>
+                <h3 class="portfolio-title"></h3>
+                <p class="portfolio-meta">
+                    <span class="portfolio-location"></span>
+                    <time class="portfolio-date"></time>
+                </p>
+            </div>
+        `;
+
+        const categoryKey = PortfolioController.serviceKey(project.service);
+        item.querySelector('.portfolio-category').setAttribute('data-i18n', categoryKey);
+        item.querySelector('.portfolio-category').textContent = this.t(categoryKey);
+        item.querySelector('.portfolio-location').textContent = project.location;
+        item.querySelector('.portfolio-date').setAttribute('datetime', project.date);
+
+        const image = item.querySelector('.portfolio-image img');
+        const button = item.querySelector('.portfolio-btn');
+        button.setAttribute('data-image', project.cover);
+        button.setAttribute('data-project', project.slug);
+
+        if (project.comparison && typeof ComparisonSlider !== 'undefined') {
+            image.replaceWith(ComparisonSlider.create(project.comparison, { lazy: true }));
+            item.classList.add('has-comparison');
+        } else {
+            image.src = project.cover;
+        }
+        return item;
+    }
+
+    // Texts that come from the data rather than the catalogs
+    translate() {
+        this.grid.querySelectorAll('.portfolio-item').forEach(item => {
+            const project = this.find(item.getAttribute('data-slug'));
+            if (!project) return;
+
+            const title = this.localize(project.title);
+            item.querySelector('.portfolio-image img').alt = title;
+            item.querySelector('.portfolio-title').textContent = title;
+            item.querySelector('.portfolio-date').textContent = this.formatDate(project.date);
+
+            const button = item.querySelector('.portfolio-btn');
+            button.setAttribute('data-caption', title);
+            button.setAttribute('aria-label', this.t('portfolio.view', { title }));
+        });
+    }
+
+    find(slug) {
+        return this.projects.find(project => project.slug === slug) || null;
+    }
+
+    // A project's texts in the current language, for the gallery's album header
+    describe(project) {
+        return {
+            title: this.localize(project.title),
+            service: this.t(PortfolioController.serviceKey(project.service)),
+            location: project.location,
+            date: this.formatDate(project.date)
+        };
+    }
+
+    localize(text) {
+        if (!text || typeof text === 'string') return text || '';
+        return text[this.lang] || text.en || '';
+    }
+
+    // "2026-08-14" -> "August 2026"; noon UTC keeps the day the same in every time zone
+    formatDate(date) {
+        const day = new Date(`${date}T12:00:00Z`);
+        const options = { month: 'long', year: 'numeric', timeZone: 'UTC' };
+        return window.i18n ? window.i18n.formatDate(day, options) : day.toLocaleDateString(undefined, options);
+    }
+
+    // Same catalog keys as the form's service options ("tree-removal" -> "services.treeRemoval.title")
+    static serviceKey(service) {
+        if (service === 'other') return 'services.other';
+        return `services.${service.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())}.title`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.portfolio = new PortfolioController();
+});
@@ -0,0 +1,136 @@
+/**
+ * Site-visit picker for Excaliber Construction website
+ * Shows the open slots from /api/availability and writes the chosen one into
+ * the form's visit_slot field. Times are always shown in the business's time
+ * zone (Winnipeg), whatever the visitor's device uses.
+ */
+
+class VisitScheduler {
+    constructor(container, input, options = {}) {
+        this.container = container;
+        this.input = input;
+        this.endpoint = options.endpoint || container.getAttribute('data-endpoint') || '/api/availability';
+        this.days = [];
+        this.timeZone = 'America/Winnipeg';
+        this.activeDate = null;
+        this.status = 'loading';
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    get locale() {
+        return window.i18n ? window.i18n.locale : 'en-CA';
+    }
+
+    async load() {
+        this.status = 'loading';
+        this.render();
+
+        try {
+            const res = await fetch(this.endpoint, { headers: { 'Accept': 'application/json' } });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+            const json = await res.json();
+            this.days = json.days || [];
+            this.timeZone = json.timezone || this.timeZone;
+            this.status = this.days.length > 0 ? 'ready' : 'empty';
+        } catch (err) {
+            console.warn('Could not load site-visit availability:', err);
+            this.days = [];
+            this.status = 'error';
+        }
+
+        // A restored draft or a slot someone else just took may no longer be offered
+        if (this.input.value && !this.hasSlot(this.input.value)) {
+            this.select('');
+        }
+
+        const selectedDay = this.days.find(day => day.slots.includes(this.input.value));
+        this.activeDate = selectedDay ? selectedDay.date : (this.days[0] && this.days[0].date);
+        this.render();
+    }
+
+    hasSlot(value) {
+        return this.days.some(day => day.slots.includes(value));
+    }
+
+    select(value) {
+        this.input.value = value;
+        // Lets drafts and validation see the change like any other field
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+        this.render();
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('button');
+        if (!button || !this.container.contains(button)) return;
+
+        if (button.hasAttribute('data-date')) {
+            this.activeDate = button.getAttribute('data-date');
+            this.render();
+        } else if (button.hasAttribute('data-slot')) {
+            const slot = button.getAttribute('data-slot');
+            this.select(this.input.value === slot ? '' : slot);
+        } else if (button.classList.contains('visit-skip')) {
+            this.select('');
+        }
+    }
+
+    formatDay(date) {
+        // Noon UTC keeps the calendar date the same in every time zone
+        return new Intl.DateTimeFormat(this.locale, {
+            weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+        }).format(new Date(`${date}T12:00:00Z`));
+    }
+
+    formatTime(slot) {
+        return new Intl.DateTimeFormat(this.locale, {
+            hour: 'numeric', minute: '2-digit', timeZone: this.timeZone
+        }).format(new Date(slot));
+    }
+
+    formatSlot(slot) {
+        return new Intl.DateTimeFormat(this.locale, {
+            weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: this.timeZone
+        }).format(new Date(slot));
+    }
+
+    render() {
+        if (this.status !== 'ready') {
+            const messages = {
+                loading: 'form.visit.loading',
+                empty: 'form.visit.none',
+                error: 'form.visit.unavailable'
+            };
+            this.container.innerHTML = `<p class="visit-status">${this.t(messages[this.status])}</p>`;
+            return;
+        }
+
+        const day = this.days.find(d => d.date === this.activeDate) || this.days[0];
+
+        this.container.innerHTML = `
+            <div class="visit-days" role="group" aria-label="${this.t('form.visit.days')}">
+                ${this.days.map(d => `
+                    <button type="button" class="visit-day${d.date === day.date ? ' active' : ''}"
+                        data-date="${d.date}" aria-pressed="${d.date === day.date}">${this.formatDay(d.date)}</button>
+                `).join('')}
+            </div>
+            <div class="visit-slots" role="group" aria-label="${this.t('form.visit.times')}">
+                ${day.slots.map(slot => `
+                    <button type="button" class="visit-slot${slot === this.input.value ? ' selected' : ''}"
+                        data-slot="${slot}" aria-pressed="${slot === this.input.value}">${this.formatTime(slot)}</button>
+                `).join('')}
+            </div>
+            <p class="visit-selection" aria-live="polite">
+                ${this.input.value
+                    ? `<i class="fas fa-calendar-check"></i> ${this.t('form.visit.selected', { date: this.formatSlot(this.input.value) })}
+                       <button type="button" class="visit-skip">${this.t('form.visit.clear')}</button>`
+                    : this.t('form.visit.skip')}
+            </p>
+        `;
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Service-area check for Excaliber Construction website
+ * Looks a Canadian postal code up in server/service_area.json (embedded in the
+ * page) entirely offline: the longest matching prefix of the code gives an area
+ * and a centroid, and the centroid's distance from our base decides whether a
+ * travel fee may apply. server/service_area.py does the same for the email.
+ */
+
+class ServiceArea {
+    constructor(config = {}) {
+        this.base = config.base || {};
+        this.radiusKm = config.radiusKm || 0;
+        this.regions = config.regions || {};
+    }
+
+    static fromPage(id = 'serviceAreaConfig') {
+        const source = document.getElementById(id);
+        if (!source) return null;
+
+        try {
+            return new ServiceArea(JSON.parse(source.textContent));
+        } catch (err) {
+            console.warn('Invalid service area config:', err);
+            return null;
+        }
+    }
+
+    // "r2c1a1" -> "R2C 1A1", or null when it is not a Canadian postal code
+    static normalize(value) {
+        const compact = String(value || '').toUpperCase().replace(/\s+/g, '');
+        if (!ServiceArea.PATTERN.test(compact)) return null;
+        return `${compact.slice(0, 3)} ${compact.slice(3)}`;
+    }
+
+    static distanceKm(from, to) {
+        const radians = (deg) => deg * Math.PI / 180;
+        const dLat = radians(to.lat - from.lat);
+        const dLng = radians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * @param {string} postalCode
+     * @returns {{postalCode: string, area: ?string, distanceKm: ?number, inside: boolean}|null}
+     */
+    lookup(postalCode) {
+        const normalized = ServiceArea.normalize(postalCode);
+        if (!normalized) return null;
+
+        const prefix = [3, 2, 1]
+            .map(length => normalized.slice(0, length))
+            .find(candidate => this.regions[candidate]);
+        const region = prefix ? this.regions[prefix] : null;
+
+        const hasCentroid = region && typeof region.lat === 'number' && typeof region.lng === 'number';
+        const distanceKm = hasCentroid ? Math.round(ServiceArea.distanceKm(this.base, region)) : null;
+
+        return {
+            postalCode: normalized,
+            area: region ? region.area : null,
+            distanceKm,
+            inside: distanceKm !== null && distanceKm <= this.radiusKm
+        };
+    }
+}
+
+// Letters D, F, I, O, Q, U are never used; W and Z never start a code
+ServiceArea.PATTERN = /^[ABCEGHJ-NPRSTVXY][0-9][ABCEGHJ-NPRSTV-Z][0-9][ABCEGHJ-NPRSTV-Z][0-9]$/;
@@ -0,0 +1,170 @@
+/**
+ * Quote status tracker for Excaliber Construction (/status)
+ * Looks a request up by reference number and email through /api/status and
+ * shows where it stands as a timeline. Staff move requests along from the
+ * admin dashboard; server side: server/leads.py (timeline, set_progress).
+ */
+
+class StatusTracker {
+    constructor() {
+        this.root = document.getElementById('statusTracker');
+        this.endpoint = this.root ? this.root.getAttribute('data-endpoint') : '/api/status';
+        this.status = null;
+        this.loading = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.root) return;
+
+        this.form = this.root.querySelector('.status-form');
+        this.result = this.root.querySelector('.status-result');
+        this.errorElement = this.root.querySelector('.status-error');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.lookup();
+        });
+
+        // The reference arrives via ?ref= from the confirmation email
+        const reference = this.form.elements.reference;
+        reference.addEventListener('input', () => this.clearFieldError(reference));
+        this.form.elements.email.addEventListener('input', () => this.clearFieldError(this.form.elements.email));
+        (reference.value ? this.form.elements.email : reference).focus();
+
+        document.addEventListener('i18n:change', () => {
+            if (this.status) this.render(this.status);
+        });
+    }
+
+    t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    async lookup() {
+        if (this.loading) return;
+
+        const reference = this.form.elements.reference.value.trim().toUpperCase();
+        const email = this.form.elements.email.value.trim();
+        this.hideError();
+
+        let valid = true;
+        if (!reference) valid = this.showFieldError(this.form.elements.reference, this.t('validation.required'));
+        if (!email) valid = this.showFieldError(this.form.elements.email, this.t('validation.required'));
+        if (!valid) return;
+
+        this.loading = true;
+        this.form.querySelector('button[type="submit"]').disabled = true;
+
+        try {
+            const res = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ reference, email, lang: window.i18n ? window.i18n.lang : 'en' })
+            });
+            const json = await res.json().catch(() => ({}));
+
+            if (!res.ok || !json.success) {
+                Object.entries(json.fields || {}).forEach(([name, message]) => {
+                    if (this.form.elements[name]) this.showFieldError(this.form.elements[name], message);
+                });
+                this.result.hidden = true;
+                this.status = null;
+                this.showError(json.error || `HTTP ${res.status}`);
+                return;
+            }
+
+            this.status = json.status;
+            this.render(this.status);
+        } catch (err) {
+            this.showError(this.t('form.errors.network'));
+        } finally {
+            this.loading = false;
+            this.form.querySelector('button[type="submit"]').disabled = false;
+        }
+    }
+
+    render(status) {
+        const formatDate = (value, options) => {
+            const date = new Date(value);
+            return window.i18n ? window.i18n.formatDate(date, options) : date.toLocaleString();
+        };
+        const day = { dateStyle: 'medium', timeZone: 'America/Winnipeg' };
+
+        this.result.querySelector('.status-heading').textContent = this.t('status.heading', { reference: status.reference });
+        this.result.querySelector('.status-summary').textContent = this.t('status.summary', {
+            service: this.serviceLabel(status),
+            date: formatDate(status.createdAt, day)
+        });
+
+        const timeline = this.result.querySelector('.status-timeline');
+        timeline.innerHTML = '';
+        status.steps.forEach(step => {
+            const item = document.createElement('li');
+            item.className = 'status-step';
+            item.classList.toggle('done', step.done);
+            item.classList.toggle('current', step.current);
+            if (step.current) item.setAttribute('aria-current', 'step');
+
+            const icon = document.createElement('i');
+            icon.className = step.done ? 'fas fa-check-circle' : 'far fa-circle';
+            icon.setAttribute('aria-hidden', 'true');
+
+            const label = document.createElement('strong');
+            label.textContent = this.t(`status.stage.${step.stage}`);
+
+            const detail = document.createElement('span');
+            detail.className = 'status-step-detail';
+            if (step.stage === 'visit_booked' && status.visit) {
+                detail.textContent = this.t('status.visitAt', {
+                    date: formatDate(status.visit, { dateStyle: 'full', timeStyle: 'short', timeZone: 'America/Winnipeg' })
+                });
+            } else if (step.at) {
+                detail.textContent = formatDate(step.at, day);
+            } else if (!step.done) {
+                detail.textContent = this.t('status.pending');
+            }
+
+            item.append(icon, label, detail);
+            timeline.appendChild(item);
+        });
+
+        this.result.hidden = false;
+    }
+
+    // Same catalog keys as the form's service options, so it follows the language switch
+    serviceLabel(status) {
+        const key = status.service === 'other'
+            ? 'services.other'
+            : `services.${status.service.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())}.title`;
+        const label = this.t(key);
+        return label === key ? status.serviceLabel : label;
+    }
+
+    showFieldError(input, message) {
+        const group = input.closest('.form-group');
+        group.classList.add('error');
+        group.querySelector('.error-message').textContent = message;
+        return false;
+    }
+
+    clearFieldError(input) {
+        const group = input.closest('.form-group');
+        group.classList.remove('error');
+        group.querySelector('.error-message').textContent = '';
+    }
+
+    showError(message) {
+        this.errorElement.textContent = message;
+        this.errorElement.hidden = false;
+    }
+
+    hideError() {
+        this.errorElement.hidden = true;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.statusTracker = new StatusTracker();
+});
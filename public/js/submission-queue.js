@@ -0,0 +1,146 @@
+/**
+ * Offline submission queue for Excaliber Construction website
+ * Keeps form submissions that could not be delivered in IndexedDB and replays them later.
+ * Loaded by the page (forms.js) and by the service worker (sw.js).
+ */
+
+class SubmissionQueue {
+    constructor(dbName = 'excaliber-forms', storeName = 'submissions') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+        this.flushing = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // entry: { formName, endpoint, payload, files: [{ field, blob, name }], idempotencyKey }
+    add(entry) {
+        const record = Object.assign({ files: [], attempts: 0, createdAt: Date.now() }, entry);
+        return this.transaction('readwrite', store => store.add(record));
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    // formName narrows the count to one form's entries
+    async count(formName) {
+        if (!formName) return this.transaction('readonly', store => store.count());
+
+        const entries = await this.getAll();
+        return entries.filter(entry => entry.formName === formName).length;
+    }
+
+    remove(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    update(record) {
+        return this.transaction('readwrite', store => store.put(record));
+    }
+
+    async send(entry) {
+        const body = new FormData();
+        body.append('payload', JSON.stringify(entry.payload));
+        (entry.files || []).forEach(file => body.append(file.field, file.blob, file.name));
+
+        const ac = new AbortController();
+        const t = setTimeout(() => ac.abort(), 15000);
+
+        try {
+            // Same key as the attempt that failed, so a request that did reach the server is not sent twice
+            const headers = entry.idempotencyKey ? { 'Idempotency-Key': entry.idempotencyKey } : {};
+            const res = await fetch(entry.endpoint, { method: 'POST', headers, body, signal: ac.signal });
+            const json = await res.json().catch(() => ({}));
+
+            if (!res.ok || !json.success) {
+                const error = new Error(json.error || `HTTP ${res.status}`);
+                error.status = res.status;
+                error.code = json.code;
+                error.token = json.token;
+                throw error;
+            }
+
+            return json;
+        } finally {
+            clearTimeout(t);
+        }
+    }
+
+    // Replays every queued entry in order. Entries the server rejects outright (4xx)
+    // are dropped and reported; a network or server failure stops the run so the
+    // remaining entries keep their order for the next attempt.
+    flush() {
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            const result = { sent: [], failed: [], remaining: 0 };
+            const entries = await this.getAll();
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+
+                try {
+                    const response = await this.send(entry);
+                    await this.remove(entry.id);
+                    result.sent.push({ entry, response });
+                } catch (err) {
+                    if (SubmissionQueue.isRetryable(err)) {
+                        // The server spent the stored token before failing; keep the one it sent back
+                        if (err.token) entry.payload.form_token = err.token;
+                        entry.attempts += 1;
+                        await this.update(entry);
+                        result.remaining = entries.length - i;
+                        break;
+                    }
+
+                    await this.remove(entry.id);
+                    result.failed.push({ entry, error: err.message, token: err.token });
+                }
+            }
+
+            return result;
+        })();
+
+        const done = () => { this.flushing = null; };
+        this.flushing.then(done, done);
+
+        return this.flushing;
+    }
+
+    // Network errors and timeouts carry no status; 5xx means the server may recover;
+    // in_progress means an earlier send of the same attempt has not finished yet
+    static isRetryable(err) {
+        return !err.status || err.status >= 500 || err.code === 'in_progress';
+    }
+}
+
+SubmissionQueue.SYNC_TAG = 'submission-queue';
@@ -0,0 +1,171 @@
+/**
+ * Zoom and pan for the gallery modal (gallery.js)
+ * Wheel and pinch zoom around the cursor or fingers, double-click/double-tap
+ * to toggle, and drag to pan within the photo's edges. The image is scaled
+ * with a CSS transform inside its stage element, which clips it; the stage
+ * keeps its size, so the modal layout never moves.
+ */
+
+class ImageZoom {
+    constructor(stage, image, { onChange } = {}) {
+        this.stage = stage;
+        this.image = image;
+        this.onChange = onChange || (() => {});
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        // Active pointers by id: {x, y}; two of them make a pinch
+        this.pointers = new Map();
+        this.gesture = null;
+        this.tapStart = null;
+        this.lastTap = null;
+
+        this.init();
+    }
+
+    init() {
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            // Trackpad pinches arrive as wheel events with ctrlKey and small deltas
+            const speed = e.ctrlKey ? 0.01 : 0.002;
+            this.zoomAt(e.clientX, e.clientY, this.scale * Math.exp(-e.deltaY * speed));
+        }, { passive: false });
+
+        this.stage.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+            this.tapStart = this.pointers.size === 1 ? { x: e.clientX, y: e.clientY } : null;
+        });
+
+        this.stage.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moveGesture();
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.stage.addEventListener(type, (e) => {
+                if (!this.pointers.has(e.pointerId)) return;
+                this.pointers.delete(e.pointerId);
+                if (type === 'pointerup') this.handleTap(e);
+                // The finger left on the glass carries on panning from where it is
+                this.startGesture();
+            });
+        });
+
+        // The browser's own image drag would fight the pan
+        this.image.addEventListener('dragstart', (e) => e.preventDefault());
+
+        window.addEventListener('resize', () => this.set(this.scale, this.x, this.y));
+    }
+
+    isZoomed() {
+        return this.scale > 1;
+    }
+
+    startGesture() {
+        const points = [...this.pointers.values()];
+        this.stage.classList.toggle('panning', points.length > 0);
+
+        if (points.length === 0) {
+            this.gesture = null;
+        } else if (points.length === 1) {
+            this.gesture = { x: this.x, y: this.y, from: points[0] };
+        } else {
+            const [a, b] = points;
+            this.gesture = {
+                scale: this.scale,
+                distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+            };
+            this.tapStart = null;
+        }
+    }
+
+    moveGesture() {
+        const points = [...this.pointers.values()];
+        if (!this.gesture) return;
+
+        if (points.length === 1 && this.gesture.from) {
+            const [point] = points;
+            if (this.tapStart && Math.hypot(point.x - this.tapStart.x, point.y - this.tapStart.y) > ImageZoom.TAP_SLOP) {
+                this.tapStart = null;
+            }
+            if (this.isZoomed()) {
+                this.set(this.scale, this.gesture.x + point.x - this.gesture.from.x, this.gesture.y + point.y - this.gesture.from.y);
+            }
+        } else if (points.length >= 2 && this.gesture.distance) {
+            const [a, b] = points;
+            const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const scale = this.gesture.scale * Math.hypot(b.x - a.x, b.y - a.y) / this.gesture.distance;
+
+            // Follow the fingers as they move together, then scale around them
+            this.set(this.scale, this.x + center.x - this.gesture.center.x, this.y + center.y - this.gesture.center.y);
+            this.gesture.center = center;
+            this.zoomAt(center.x, center.y, scale);
+        }
+    }
+
+    // Two taps (or clicks) close together in time and place toggle the zoom
+    handleTap(e) {
+        if (!this.tapStart) return;
+
+        const now = Date.now();
+        const last = this.lastTap;
+        this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+        this.tapStart = null;
+
+        if (last && now - last.time < ImageZoom.DOUBLE_TAP_MS &&
+            Math.hypot(e.clientX - last.x, e.clientY - last.y) < ImageZoom.TAP_SLOP * 2) {
+            this.lastTap = null;
+            if (this.isZoomed()) {
+                this.reset();
+            } else {
+                this.zoomAt(e.clientX, e.clientY, ImageZoom.DOUBLE_TAP_SCALE);
+            }
+        }
+    }
+
+    // Zoom so the point under (clientX, clientY) stays where it is
+    zoomAt(clientX, clientY, scale) {
+        const rect = this.stage.getBoundingClientRect();
+        const next = Math.min(ImageZoom.MAX_SCALE, Math.max(1, scale));
+        const px = clientX - rect.left;
+        const py = clientY - rect.top;
+        const ratio = next / this.scale;
+
+        this.set(next, px - (px - this.x) * ratio, py - (py - this.y) * ratio);
+    }
+
+    // Buttons and keys zoom around the middle of the photo
+    zoomBy(factor) {
+        const rect = this.stage.getBoundingClientRect();
+        this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, this.scale * factor);
+    }
+
+    reset() {
+        this.set(1, 0, 0);
+    }
+
+    // Keeps the scaled photo covering the stage: no empty edge can be dragged into view
+    set(scale, x, y) {
+        const width = this.stage.clientWidth;
+        const height = this.stage.clientHeight;
+
+        this.scale = scale < 1.01 ? 1 : scale;
+        this.x = Math.min(0, Math.max(width - width * this.scale, x));
+        this.y = Math.min(0, Math.max(height - height * this.scale, y));
+
+        this.image.style.transform = this.scale === 1 ? '' : `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.stage.classList.toggle('zoomed', this.isZoomed());
+        this.onChange(this.scale);
+    }
+}
+
+ImageZoom.MAX_SCALE = 4;
+ImageZoom.DOUBLE_TAP_SCALE = 2.5;
+ImageZoom.DOUBLE_TAP_MS = 300;
+// Pixels a finger may wander and still count as a tap
+ImageZoom.TAP_SLOP = 10;
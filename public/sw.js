@@ -0,0 +1,36 @@
+/**
+ * Service worker for Excaliber Construction website
+ * Replays queued contact form submissions through Background Sync.
+ * Served from the site root (/sw.js) so its scope covers every page.
+ */
+
+importScripts('/public/js/submission-queue.js');
+
+const queue = new SubmissionQueue();
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SubmissionQueue.SYNC_TAG) {
+        event.waitUntil(flushQueue());
+    }
+});
+
+async function flushQueue() {
+    const result = await queue.flush();
+
+    // Let open tabs update their "queued" status
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type: 'submission-queue', result }));
+
+    // Rejecting tells the browser to retry the sync later with its own backoff
+    if (result.remaining > 0) {
+        throw new Error(`${result.remaining} submission(s) still queued`);
+    }
+}
@@ -0,0 +1,189 @@
+"""
+Staff dashboard for the lead pipeline at /admin.
+
+Signing in uses ADMIN_PASSWORD (and ADMIN_USER, default "admin") from
+server/.env and a Flask session cookie; without ADMIN_PASSWORD the dashboard
+stays locked. The page itself is public/admin.html driven by public/js/admin.js,
+which talks to the JSON endpoints below. /admin/emails/ previews the
+notification emails (emails.py) with sample data and /admin/analytics shows
+the visitor funnel (analytics.py).
+"""
+import hmac
+import os
+from datetime import datetime, timezone
+from functools import wraps
+
+from flask import Blueprint, Response, abort, jsonify, redirect, render_template, request, session, url_for
+
+import analytics
+import emails
+import i18n
+import leads
+import spam
+
+bp = Blueprint("admin", __name__, url_prefix="/admin")
+
+# Slows down password guessing; counts every attempt per IP
+login_limiter = spam.RateLimiter(limit=10, window=15 * 60)
+
+MAX_NOTE_LENGTH = 2000
+
+
+def _credentials_ok(username, password):
+    expected_user = os.getenv("ADMIN_USER", "admin")
+    expected_password = os.getenv("ADMIN_PASSWORD", "")
+    if not expected_password:
+        return False
+    return hmac.compare_digest(username.encode(), expected_user.encode()) and hmac.compare_digest(
+        password.encode(), expected_password.encode()
+    )
+
+
+def admin_required(view):
+    @wraps(view)
+    def wrapped(*args, **kwargs):
+        if session.get("admin"):
+            return view(*args, **kwargs)
+        if request.path.startswith("/admin/api/"):
+            return jsonify(success=False, error="Not signed in"), 401
+        return redirect(url_for("admin.login", next=request.path))
+    return wrapped
+
+
+@bp.route("/login", methods=["GET", "POST"])
+def login():
+    error = None
+    if request.method == "POST":
+        if not login_limiter.allow(request.remote_addr or "unknown"):
+            error = "Too many attempts. Try again in a few minutes."
+        elif _credentials_ok(request.form.get("username", ""), request.form.get("password", "")):
+            session.clear()
+            session["admin"] = True
+            session.permanent = True
+            target = request.args.get("next") or ""
+            # Only local paths, never another site
+            return redirect(target if target.startswith("/admin") else url_for("admin.dashboard"))
+        else:
+            error = "Wrong username or password."
+    return render_template("admin-login.html", error=error), (401 if error else 200)
+
+
+@bp.route("/logout", methods=["POST"])
+def logout():
+    session.clear()
+    return redirect(url_for("admin.login"))
+
+
+@bp.route("/")
+@admin_required
+def dashboard():
+    return render_template("admin.html", stages=leads.STAGES, progress=leads.PROGRESS)
+
+
+ANALYTICS_PERIODS = (7, 30, 90)
+
+
+@bp.route("/analytics")
+@admin_required
+def analytics_report():
+    days = request.args.get("days", 30, type=int)
+    if days not in ANALYTICS_PERIODS:
+        days = 30
+    return render_template("admin-analytics.html", report=analytics.report(days), periods=ANALYTICS_PERIODS)
+
+
+@bp.route("/emails/")
+@admin_required
+def email_previews():
+    return render_template(
+        "admin-emails.html",
+        templates=emails.TEMPLATES,
+        services=[*emails.SERVICE_SECTIONS, "other"],
+        languages=i18n.LANGUAGE_NAMES,
+    )
+
+
+@bp.route("/emails/<name>")
+@admin_required
+def email_preview(name):
+    """One template rendered with sample data: ?service=, ?lang= and ?format=html|text."""
+    if name not in emails.TEMPLATES:
+        abort(404)
+    service = request.args.get("service", "shingles")
+    lang = i18n.normalize(request.args.get("lang")) or i18n.DEFAULT
+    text, html = emails.render(name, emails.sample_context(name, service=service, lang=lang))
+    if request.args.get("format") == "text":
+        return Response(text, mimetype="text/plain")
+    return html
+
+
+def _filters():
+    return {
+        "text": request.args.get("search", "")[:200],
+        "service": request.args.get("service", ""),
+        "status": request.args.get("status", ""),
+    }
+
+
+@bp.route("/api/leads")
+@admin_required
+def list_leads():
+    return jsonify(success=True, leads=leads.search(**_filters()), counts=leads.stage_counts())
+
+
+@bp.route("/api/leads.csv")
+@admin_required
+def export_leads():
+    stamp = datetime.now(timezone.utc).strftime("%Y-%m-%d")
+    return Response(
+        leads.to_csv(leads.search(**_filters())),
+        mimetype="text/csv",
+        headers={"Content-Disposition": f'attachment; filename="leads-{stamp}.csv"'},
+    )
+
+
+@bp.route("/api/leads/<int:lead_id>")
+@admin_required
+def lead_detail(lead_id):
+    lead = leads.get(lead_id)
+    if lead is None:
+        return jsonify(success=False, error="Lead not found"), 404
+    return jsonify(success=True, lead=lead)
+
+
+@bp.route("/api/leads/<int:lead_id>", methods=["PATCH"])
+@admin_required
+def update_lead(lead_id):
+    """Change the pipeline stage ("status"), the customer-facing "progress", or both."""
+    data = request.get_json(silent=True) or {}
+    if not isinstance(data, dict):
+        return jsonify(success=False, error="Expected a JSON object"), 400
+    if "status" not in data and "progress" not in data:
+        return jsonify(success=False, error="Nothing to update"), 400
+    if "status" in data and data["status"] not in leads.STAGES:
+        return jsonify(success=False, error=f"Status must be one of: {', '.join(leads.STAGES)}"), 400
+    if "progress" in data and data["progress"] not in leads.PROGRESS:
+        return jsonify(success=False, error=f"Progress must be one of: {', '.join(leads.PROGRESS)}"), 400
+    if leads.get(lead_id) is None:
+        return jsonify(success=False, error="Lead not found"), 404
+
+    if "status" in data:
+        leads.set_status(lead_id, data["status"])
+    if "progress" in data:
+        leads.set_progress(lead_id, data["progress"])
+    return jsonify(success=True, lead=leads.get(lead_id), counts=leads.stage_counts())
+
+
+@bp.route("/api/leads/<int:lead_id>/notes", methods=["POST"])
+@admin_required
+def add_note(lead_id):
+    data = request.get_json(silent=True) or {}
+    if not isinstance(data, dict):
+        return jsonify(success=False, error="Expected a JSON object"), 400
+    body = str(data.get("body") or "").strip()
+    if not body or len(body) > MAX_NOTE_LENGTH:
+        return jsonify(success=False, error=f"Notes must be 1 to {MAX_NOTE_LENGTH} characters"), 400
+    note = leads.add_note(lead_id, body)
+    if note is None:
+        return jsonify(success=False, error="Lead not found"), 404
+    return jsonify(success=True, note=note), 201
@@ -0,0 +1,155 @@
+"""
+First-party analytics: page events from public/js/analytics.js, stored in the
+shared SQLite database and summarized as a funnel on /admin/analytics.
+
+Nothing here identifies a person. A "session" is a random id the browser keeps
+in sessionStorage for one tab; there are no cookies, IP addresses or user
+agents stored. Only the events in EVENTS are accepted, each with a few short
+properties, and rows older than RETENTION_DAYS are deleted.
+"""
+import json
+from contextlib import closing
+from datetime import datetime, timedelta, timezone
+
+import db
+
+# Event name -> properties kept (anything else is dropped)
+EVENTS = {
+    "page_view": ("path", "lang"),
+    "section_view": ("section",),
+    "tel_click": ("number", "section"),
+    "quote_click": ("section", "label"),
+    "learn_more_click": ("service",),
+    "field_focus": ("form", "field", "step"),
+    "field_blur": ("form", "field", "step", "filled"),
+    "form_submit": ("form", "outcome", "code"),
+}
+
+MAX_BATCH = 50
+MAX_VALUE_LENGTH = 100
+RETENTION_DAYS = 180
+
+# The report's funnel: (label, SQL condition one of the session's events must meet).
+# A visit counts for a step only if it also made every step before it. The form
+# steps are the quote form's; the callback widget reports the same events.
+FUNNEL = (
+    ("Visited the site", "1 = 1"),
+    ("Viewed services", "name = 'section_view' AND section = 'services'"),
+    ("Reached the contact form", "name = 'section_view' AND section = 'contact'"),
+    ("Started the form", "name = 'field_focus' AND form = 'contact'"),
+    ("Sent a request", "name = 'form_submit' AND form = 'contact' AND outcome = 'success'"),
+)
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    session TEXT NOT NULL,
+    name TEXT NOT NULL,
+    props TEXT NOT NULL DEFAULT '{}'
+);
+CREATE INDEX IF NOT EXISTS events_created ON events (created_at);
+CREATE INDEX IF NOT EXISTS events_session ON events (session);
+""")
+
+
+def _clean_props(name, props):
+    if not isinstance(props, dict):
+        return {}
+    clean = {}
+    for key in EVENTS[name]:
+        value = props.get(key)
+        if isinstance(value, (bool, int, float)):
+            clean[key] = value
+        elif isinstance(value, str) and value:
+            clean[key] = value[:MAX_VALUE_LENGTH]
+    return clean
+
+
+def record(session, events):
+    """Store a batch from the browser; returns how many events were kept."""
+    session = str(session or "")[:64]
+    if not session or not isinstance(events, list):
+        return 0
+    rows = []
+    now = datetime.now(timezone.utc)
+    for event in events[:MAX_BATCH]:
+        if not isinstance(event, dict) or event.get("name") not in EVENTS:
+            continue
+        props = _clean_props(event["name"], event.get("props"))
+        rows.append((now.isoformat(timespec="seconds"), session, event["name"], json.dumps(props)))
+    if not rows:
+        return 0
+
+    cutoff = (now - timedelta(days=RETENTION_DAYS)).isoformat(timespec="seconds")
+    with closing(db.connect()) as conn, conn:
+        conn.executemany("INSERT INTO events (created_at, session, name, props) VALUES (?, ?, ?, ?)", rows)
+        conn.execute("DELETE FROM events WHERE created_at < ?", (cutoff,))
+    return len(rows)
+
+
+def report(days=30):
+    """Funnel and breakdowns for the last `days` days, counted in distinct sessions."""
+    since = (datetime.now(timezone.utc) - timedelta(days=days)).isoformat(timespec="seconds")
+    with closing(db.connect()) as conn:
+        # Pull the properties the report groups by into columns once
+        conn.execute("""
+            CREATE TEMP TABLE recent AS
+            SELECT id, session, name,
+                   json_extract(props, '$.section') AS section,
+                   json_extract(props, '$.form') AS form,
+                   json_extract(props, '$.outcome') AS outcome,
+                   json_extract(props, '$.field') AS field,
+                   json_extract(props, '$.code') AS code,
+                   json_extract(props, '$.service') AS service,
+                   json_extract(props, '$.number') AS number
+            FROM events WHERE created_at >= ?
+        """, (since,))
+
+        funnel, remaining = [], None
+        for label, condition in FUNNEL:
+            sessions = {row[0] for row in conn.execute(f"SELECT DISTINCT session FROM recent WHERE {condition}")}
+            remaining = sessions if remaining is None else remaining & sessions
+            funnel.append({"label": label, "sessions": len(remaining)})
+
+        def grouped(sql):
+            return [(row[0], row[1]) for row in conn.execute(sql).fetchall()]
+
+        sections = grouped(
+            "SELECT section, COUNT(DISTINCT session) AS n FROM recent"
+            " WHERE name = 'section_view' GROUP BY section ORDER BY n DESC"
+        )
+        clicks = grouped(
+            "SELECT CASE name WHEN 'tel_click' THEN 'Call ' || number"
+            " WHEN 'learn_more_click' THEN 'Learn More: ' || service"
+            " ELSE 'Get Quote (' || section || ')' END AS target, COUNT(*) AS n FROM recent"
+            " WHERE name IN ('tel_click', 'quote_click', 'learn_more_click') GROUP BY target ORDER BY n DESC"
+        )
+        # Where people who started the form but never sent it stopped
+        abandoned = grouped("""
+            SELECT field, COUNT(*) AS n FROM (
+                SELECT session, field, MAX(id) FROM recent
+                WHERE name = 'field_focus' AND form = 'contact' AND session NOT IN (
+                    SELECT session FROM recent WHERE name = 'form_submit' AND form = 'contact' AND outcome = 'success'
+                )
+                GROUP BY session  -- SQLite takes field from the row with MAX(id)
+            ) GROUP BY field ORDER BY n DESC
+        """)
+        errors = grouped(
+            "SELECT COALESCE(code, 'network') AS code, COUNT(*) AS n FROM recent"
+            " WHERE name = 'form_submit' AND outcome = 'error' GROUP BY code ORDER BY n DESC"
+        )
+
+    top = funnel[0]["sessions"] or 1
+    for i, step in enumerate(funnel):
+        previous = funnel[i - 1]["sessions"] if i else step["sessions"]
+        step["percent"] = round(100 * step["sessions"] / top)
+        step["stepPercent"] = round(100 * step["sessions"] / previous) if previous else 0
+    return {
+        "days": days,
+        "funnel": funnel,
+        "sections": sections,
+        "clicks": clicks,
+        "abandoned": abandoned,
+        "errors": errors,
+    }
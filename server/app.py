@@ -1,22 +1,152 @@
 import os
-from datetime import datetime
-from flask import Flask, request, jsonify, render_template, send_from_directory
-from email.message import EmailMessage
-import smtplib
+import json
+import secrets
+import uuid
+from datetime import datetime, timedelta
+from flask import Flask, request, jsonify, render_template, send_from_directory, url_for
 from dotenv import load_dotenv
+from werkzeug.middleware.proxy_fix import ProxyFix
+from werkzeug.utils import secure_filename
 
-# Load env from server/.env
+# Load env from server/.env first: the modules below read their settings when imported
 HERE = os.path.dirname(__file__)
 load_dotenv(os.path.join(HERE, ".env"))
 
+import admin
+import analytics
+import business_hours
+import emails
+import i18n
+import idempotency
+import leads
+import notify
+import pricing
+import projects
+import scheduling
+import service_area
+import spam
+import validation
+
 # Flask points to /public for templates and static
 BASE = os.path.abspath(os.path.join(HERE, ".."))
 PUBLIC = os.path.join(BASE, "public")
 app = Flask(__name__, static_folder=PUBLIC, template_folder=PUBLIC)
 
+# Behind the reverse proxy remote_addr is the proxy; rate limiting needs the visitor
+app.wsgi_app = ProxyFix(app.wsgi_app, x_for=int(os.getenv("TRUSTED_PROXIES", "1")))
+rate_limiter = spam.RateLimiter()
+# Reference numbers are short; limit how fast anyone can try them
+status_limiter = spam.RateLimiter(limit=20, window=10 * 60)
+# The callback widget is a second way in, so it gets its own allowance
+callback_limiter = spam.RateLimiter()
+# The browser batches analytics events, so even a long visit sends only a few requests
+events_limiter = spam.RateLimiter(limit=60, window=10 * 60)
+
+# Session cookie for the /admin dashboard
+app.secret_key = os.getenv("SECRET_KEY") or secrets.token_hex(32)
+app.config.update(
+    SESSION_COOKIE_HTTPONLY=True,
+    SESSION_COOKIE_SAMESITE="Lax",
+    PERMANENT_SESSION_LIFETIME=timedelta(hours=12),
+)
+app.register_blueprint(admin.bp)
+
+# Where new-lead notifications go (notify.py); failed deliveries are retried in the background
+NOTIFIERS = notify.load_backends()
+notify.start_worker(NOTIFIERS, on_done=lambda lead_id: leads.mark_delivery(lead_id, notify.lead_status(lead_id)))
+
+# Photo attachments (the browser already resizes them to ~1600px JPEGs)
+MAX_PHOTOS = 6
+MAX_PHOTO_BYTES = 4 * 1024 * 1024
+app.config["MAX_CONTENT_LENGTH"] = MAX_PHOTOS * MAX_PHOTO_BYTES + 1024 * 1024
+
+# Field rules shared with the browser (rendered into data-validate attributes)
+CONTACT_RULES = validation.load_rules("contact")
+CALLBACK_RULES = validation.load_rules("callback")
+
+PRICING = pricing.CONFIG
+
+def format_estimate(estimate):
+    """Describe an estimate from pricing.estimate(), with the inputs it was computed from, as lines."""
+    if not estimate:
+        return []
+
+    lines = [
+        f"Range: ${estimate['low']:,.0f} – ${estimate['high']:,.0f} {estimate['currency']}",
+        f"Quantity: {estimate['quantity']} {estimate['unit']}(s)",
+    ]
+    labels = dict(emails.SERVICE_DETAILS.get(estimate["service"], []))
+    for key, value in estimate["inputs"].items():
+        if key in labels:
+            lines.append(f"{labels[key]}: {str(value)[:50]}")
+    if estimate["season"]:
+        lines.append(f"Seasonal pricing: {estimate['season']} (x{estimate['seasonalMultiplier']:g})")
+    if estimate["minimumApplied"]:
+        lines.append("Minimum charge applied")
+    return lines
+
 @app.route("/")
 def home():
-    return render_template("index.html")
+    return render_template(
+        "index.html",
+        contact_rules=CONTACT_RULES,
+        callback_rules=CALLBACK_RULES,
+        lang=i18n.pick_language(request),
+        i18n_catalogs=i18n.CATALOGS,
+        pricing=PRICING,
+        service_area=service_area.CONFIG,
+        business_hours=business_hours.CONFIG,
+        # One per form: each token is accepted once
+        contact_token=spam.issue_token(),
+        callback_token=spam.issue_token(),
+    )
+
+# Customers look their request up by reference number and email
+@app.route("/status")
+def status_page():
+    return render_template(
+        "status.html",
+        lang=i18n.pick_language(request),
+        i18n_catalogs=i18n.CATALOGS,
+        reference=request.args.get("ref", "")[:20],
+    )
+
+# What the site collects; linked from the footer and the consent banner
+@app.route("/privacy")
+def privacy():
+    return render_template("privacy.html", lang=i18n.pick_language(request), i18n_catalogs=i18n.CATALOGS)
+
+@app.route("/api/status", methods=["POST"])
+def quote_status():
+    # POST keeps the email address out of URLs and access logs
+    data = request.get_json(silent=True) or {}
+    if not isinstance(data, dict):
+        data = {}
+    lang = i18n.normalize(data.get("lang")) or i18n.pick_language(request)
+    t = i18n.translator(lang)
+
+    if not status_limiter.allow(request.remote_addr or "unknown"):
+        return api_error(429, "rate_limited", t("errors.rateLimited"))
+
+    reference = str(data.get("reference") or "").strip()
+    email = str(data.get("email") or "").strip()
+    fields = {}
+    if not reference:
+        fields["reference"] = t("validation.required")
+    if not email:
+        fields["email"] = t("validation.required")
+    if fields:
+        return api_error(400, "invalid", t("errors.invalid"), fields=fields)
+
+    # One answer for a wrong reference and a wrong email, so neither can be probed
+    status = leads.timeline(reference[:20], email[:254])
+    if status is None:
+        return api_error(404, "not_found", t("errors.statusNotFound"))
+
+    status["serviceLabel"] = i18n.service_label(lang, status["service"])
+    response = jsonify(success=True, status=status)
+    response.headers["Cache-Control"] = "no-store"
+    return response
 
 # Serve robots.txt and sitemap.xml at site root
 @app.route("/robots.txt")
@@ -27,64 +157,359 @@ def robots():
 def sitemap():
     return send_from_directory(PUBLIC, "sitemap.xml", mimetype="application/xml")
 
+# Service worker must be served from the root so its scope covers the whole site
+@app.route("/sw.js")
+def service_worker():
+    response = send_from_directory(PUBLIC, "sw.js", mimetype="application/javascript")
+    response.headers["Cache-Control"] = "no-cache"
+    return response
+
 # Simple health check
 @app.route("/healthz")
 def healthz():
     return "ok", 200
 
+# Open site-visit slots for the wizard's scheduling step
+@app.route("/api/availability")
+def availability():
+    response = jsonify(
+        timezone=scheduling.TIMEZONE_NAME,
+        slotMinutes=scheduling.SLOT_MINUTES,
+        days=scheduling.availability(),
+    )
+    response.headers["Cache-Control"] = "no-store"
+    return response
+
+# Finished jobs for the portfolio grid (server/projects.json)
+@app.route("/api/projects")
+def project_list():
+    response = jsonify(projects=projects.listing(lambda path: url_for("static", filename=path)))
+    response.headers["Cache-Control"] = "public, max-age=300"
+    return response
+
+# Batches from public/js/analytics.js (sendBeacon may post them as text/plain)
+@app.route("/api/events", methods=["POST"])
+def events():
+    if not events_limiter.allow(request.remote_addr or "unknown"):
+        return "", 429
+    data = request.get_json(force=True, silent=True)
+    if isinstance(data, dict):
+        analytics.record(data.get("session"), data.get("events"))
+    return "", 204
+
+def api_error(status, code, message, fields=None, token=None):
+    """Every API failure has one shape: a machine code, readable text and, for
+    validation, {field name: message} so the form can mark each input. token is
+    the next form token when this request already spent one, so a retry is accepted."""
+    payload = {"success": False, "code": code, "error": message}
+    if fields:
+        payload["fields"] = fields
+    if token:
+        payload["token"] = token
+    return jsonify(payload), status
+
+def failed_after_token(t, what):
+    """500 for a submission that failed after spending its form token."""
+    app.logger.exception("%s failed", what)
+    return api_error(500, "server_error", t("errors.server"), token=spam.issue_token())
+
+@app.errorhandler(413)
+def too_large(_e):
+    lang = i18n.pick_language(request)
+    return api_error(413, "too_large", i18n.translate(lang, "errors.tooLarge"))
+
+def read_photos(t):
+    """Collect uploaded images as (filename, maintype, subtype, bytes) tuples.
+
+    Returns (photos, error): error is a message for the "photos" field when an
+    upload is not an image, too large, or over the count, so nothing is dropped silently.
+    """
+    uploads = request.files.getlist("photos")
+    if len(uploads) > MAX_PHOTOS:
+        return [], t("form.photos.tooMany", max=MAX_PHOTOS)
+
+    photos = []
+    for i, upload in enumerate(uploads, start=1):
+        mimetype = upload.mimetype or ""
+        if not mimetype.startswith("image/"):
+            return [], t("form.photos.onlyImages")
+        content = upload.read(MAX_PHOTO_BYTES + 1)
+        if not content:
+            continue
+        if len(content) > MAX_PHOTO_BYTES:
+            name = upload.filename or f"photo-{i}"
+            return [], t("form.photos.tooLarge", name=name, max=MAX_PHOTO_BYTES // (1024 * 1024))
+        maintype, subtype = mimetype.split("/", 1)
+        filename = secure_filename(upload.filename or "") or f"photo-{i}.{subtype}"
+        photos.append((filename, maintype, subtype, content))
+    return photos, None
+
+def read_payload():
+    """The submitted fields: forms post multipart (a JSON "payload" part plus optional "photos")."""
+    if request.mimetype == "multipart/form-data":
+        try:
+            data = json.loads(request.form.get("payload") or "{}")
+        except ValueError:
+            data = {}
+    else:
+        data = request.get_json(silent=True) or {}
+    return data if isinstance(data, dict) else {}
+
+def idempotent(submit, t):
+    """Run submit() once per Idempotency-Key: retries of one attempt share a key and
+    get the first answer back instead of creating a second lead."""
+    key = idempotency.request_key(request)
+    if not key:
+        return submit()
+    state, stored = idempotency.claim(key)
+    if state == idempotency.DONE:
+        return idempotency.replay(stored)
+    if state == idempotency.BUSY:
+        return api_error(409, "in_progress", t("errors.inProgress"))
+    try:
+        response = app.make_response(submit())
+    except Exception:
+        idempotency.release(key)
+        raise
+    idempotency.finish(key, response)
+    return response
+
 @app.route("/api/contact", methods=["POST"])
 def contact():
-    data = request.get_json(silent=True) or {}
+    data = read_payload()
+
+    # Answer in the language the visitor used the form in
+    lang = i18n.normalize(data.get("lang")) or i18n.pick_language(request)
+    t = i18n.translator(lang)
+    return idempotent(lambda: submit_contact(data, lang, t), t)
+
+def submit_contact(data, lang, t):
+    """Validate, store and notify; contact() has already parsed the request."""
+    if not rate_limiter.allow(request.remote_addr or "unknown"):
+        return api_error(429, "rate_limited", t("errors.rateLimited"))
+
+    # Bots get a polite refusal and we keep a record instead of an email
+    reason = spam.check_submission(data)
+    if reason:
+        app.logger.warning(
+            "Suspicious contact submission (%s) from %s: %s",
+            reason,
+            request.remote_addr,
+            json.dumps({k: str(data.get(k) or "")[:200] for k in ("name", "email", "phone", "service", "message")}),
+        )
+        return api_error(403, "rejected", t("errors.rejected"))
 
-    # Require what the form requires: name, email, message, service
-    required = ("name", "email", "message", "service")
-    missing = [f for f in required if not (data.get(f) and str(data.get(f)).strip())]
-    if missing:
-        return jsonify(success=False, error=f"Missing: {', '.join(missing)}"), 400
+    # Enforce the same rules the form checks in the browser
+    detail_fields = [key for key, _label in emails.SERVICE_DETAILS.get(str(data.get("service") or ""), [])]
+    errors = validation.validate(CONTACT_RULES, data, data.get("details"), detail_fields, translate=t)
+    photos, photo_error = read_photos(t)
+    if photo_error:
+        errors["photos"] = photo_error
+    if errors:
+        return api_error(400, "invalid", t("errors.invalid"), fields=errors)
+
+    # Checked before anything is saved or booked: load_backends() drops any backend missing its settings
+    if not NOTIFIERS:
+        return api_error(500, "not_configured", t("errors.mailNotConfigured"))
 
     phone = (data.get("phone") or "").strip()
+    customer_email = (data.get("email") or "").strip()
 
-    # Build email
-    subject = f"New Quote Request — {data['service']}"
-    body = (
-        f"Time (UTC): {datetime.utcnow().isoformat()}Z\n"
-        f"Name: {data['name']}\n"
-        f"Email: {data['email']}\n"
-        f"Phone: {phone or '—'}\n"
-        f"Service: {data['service']}\n\n"
-        f"Message:\n{data['message']}\n"
-    )
+    # Hold the chosen site visit now so nobody else can book it while we email
+    visit = None
+    if data.get("visit_slot"):
+        visit = scheduling.parse_slot(data["visit_slot"])
+        if not visit or not scheduling.is_available(visit) or not scheduling.hold(
+            visit, data["name"], customer_email, phone, data["service"]
+        ):
+            return api_error(409, "slot_taken", t("errors.slotTaken"))
+
+    # Spent only once the slot is ours, so picking another time after slot_taken still works
+    if not spam.use_token(data.get(spam.TOKEN_FIELD)):
+        if visit:
+            scheduling.release(visit)
+        app.logger.warning("Reused form token on a contact submission from %s", request.remote_addr)
+        return api_error(403, "rejected", t("errors.rejected"))
+
+    # A failure below must not leave the slot booked for a request that did not go through
+    try:
+        # Recomputed from the answers so neither the emails nor the saved lead trust a browser-sent range
+        estimate = data["estimate"] = pricing.estimate(data["service"], data.get("details"))
+        area = service_area.lookup(data.get("postal_code"))
+
+        # Saved before any email so a mail outage never loses the request
+        lead_id, reference = leads.create(data, area=area, visit=visit, photo_count=len(photos))
+
+        sender = os.getenv("MAIL_FROM") or os.getenv("MAIL_USER", "")
+        # Only the smtp backend needs it; webhook, sms and outbox work without
+        to = os.getenv("TO_EMAIL", "")
 
-    host = os.getenv("MAIL_HOST", "")
-    port = int(os.getenv("MAIL_PORT", "465"))
-    user = os.getenv("MAIL_USER", "")
-    pwd  = os.getenv("MAIL_PASS", "")
-    to   = os.getenv("TO_EMAIL", "")
+        # Build email
+        site = (os.getenv("SITE_URL") or request.url_root).rstrip("/")
+        subject = f"New Quote Request {reference} — {data['service']}"
+        if area and not area["inside"]:
+            subject += " — outside service area"
+        msg = emails.build(
+            "lead",
+            emails.lead_context(
+                data, reference, f"{datetime.utcnow():%Y-%m-%d %H:%M} UTC", to,
+                details=emails.detail_rows(data["service"], data.get("details")),
+                estimate=format_estimate(estimate),
+                area=area,
+                area_line=service_area.describe(area) if area else "",
+                visit_text=scheduling.format_slot(visit) if visit else "",
+                photo_count=len(photos),
+                admin_url=f"{site}/admin/",
+            ),
+            subject, sender, to,
+            reply_to=customer_email,  # reply goes to the requester
+        )
+        for filename, maintype, subtype, content in photos:
+            msg.add_attachment(content, maintype=maintype, subtype=subtype, filename=filename)
 
-    if not all([host, port, user, pwd, to]):
-        return jsonify(success=False, error="Mail server not configured"), 500
+        # Both copies share a UID so calendars treat them as the same event
+        invite_uid = uuid.uuid4().hex
+        if visit:
+            invite = scheduling.build_invite(
+                visit,
+                f"Site visit: {data['name']} — {data['service']}",
+                f"Phone: {phone or '—'}\nEmail: {customer_email or '—'}\n\n{data['message']}",
+                organizer=to,
+                attendee=customer_email or None,
+                attendee_name=data["name"],
+                uid=invite_uid,
+            )
+            msg.add_attachment(invite.encode("utf-8"), maintype="text", subtype="calendar",
+                               filename="site-visit.ics", params={"method": "REQUEST"})
+
+        # Short form for SMS and chat webhooks
+        text = f"New quote request {reference}: {data['name']}, {data['service']}, {phone or customer_email}"
+        if visit:
+            text += f". Site visit {scheduling.format_slot(visit)}"
+        if area and not area["inside"]:
+            text += ". Outside service area"
+        lead = leads.get(lead_id)
+        lead.pop("notes", None)
+        notifications = [notify.Notification("lead", msg, text=text, data=lead, lead_id=lead_id)]
+
+        if customer_email:
+            confirmation = emails.build(
+                "confirmation",
+                emails.confirmation_context(
+                    data, reference, lang, to,
+                    estimate=(estimate["low"], estimate["high"]) if estimate else None,
+                    visit_text=scheduling.format_slot(visit, lang) if visit else "",
+                    photo_count=len(photos),
+                    status_url=f"{site}/status?ref={reference}",
+                ),
+                t("email.confirmation.subject", reference=reference), sender, customer_email,
+                reply_to=to,
+            )
+            if visit:
+                confirmation.add_attachment(
+                    scheduling.build_invite(
+                        visit,
+                        t("email.visit.summary"),
+                        t("email.visit.description"),
+                        organizer=to,
+                        attendee=customer_email,
+                        attendee_name=data["name"],
+                        uid=invite_uid,
+                    ).encode("utf-8"),
+                    maintype="text", subtype="calendar", filename="site-visit.ics", params={"method": "REQUEST"},
+                )
+            notifications.append(notify.Notification("confirmation", confirmation, lead_id=lead_id))
+
+        # Whatever fails here stays queued and is retried, so the request still succeeded
+        notify.dispatch(notifications, NOTIFIERS)
+        leads.mark_delivery(lead_id, notify.lead_status(lead_id))
+
+        # The page's token is spent; the next request from it needs this one
+        return jsonify(success=True, message="Quote request sent", reference=reference, token=spam.issue_token()), 200
+    except Exception:
+        if visit:
+            scheduling.release(visit)
+        return failed_after_token(t, "Contact submission")
+
+# "Call me back" widget: name, phone and a preferred time, stored as a lead of its own kind
+@app.route("/api/callback", methods=["POST"])
+def callback():
+    data = read_payload()
+    lang = i18n.normalize(data.get("lang")) or i18n.pick_language(request)
+    t = i18n.translator(lang)
+    return idempotent(lambda: submit_callback(data, lang, t), t)
+
+def submit_callback(data, lang, t):
+    if not callback_limiter.allow(request.remote_addr or "unknown"):
+        return api_error(429, "rate_limited", t("errors.rateLimited"))
+
+    reason = spam.check_submission(data)
+    if reason:
+        app.logger.warning(
+            "Suspicious callback request (%s) from %s: %s",
+            reason,
+            request.remote_addr,
+            json.dumps({k: str(data.get(k) or "")[:200] for k in ("name", "phone")}),
+        )
+        return api_error(403, "rejected", t("errors.rejected"))
+
+    errors = validation.validate(CALLBACK_RULES, data, translate=t)
+    if errors:
+        return api_error(400, "invalid", t("errors.invalid"), fields=errors)
+
+    if not NOTIFIERS:
+        return api_error(500, "not_configured", t("errors.mailNotConfigured"))
+
+    if not spam.use_token(data.get(spam.TOKEN_FIELD)):
+        app.logger.warning("Reused form token on a callback request from %s", request.remote_addr)
+        return api_error(403, "rejected", t("errors.rejected"))
 
     try:
-        msg = EmailMessage()
-        msg["Subject"] = subject
-        msg["From"] = user
-        msg["To"] = to
-        if data.get("email"):
-            msg["Reply-To"] = data["email"]  # reply goes to the requester
-        msg.set_content(body)
-
-        if port == 465:
-            smtp = smtplib.SMTP_SSL(host, port, timeout=15)
-        else:
-            smtp = smtplib.SMTP(host, port, timeout=15)
-            smtp.starttls()
-        with smtp:
-            smtp.login(user, pwd)
-            smtp.send_message(msg)
-    except Exception as e:
-        return jsonify(success=False, error=f"Email send failed: {e}"), 500
-
-    return jsonify(success=True, message="Quote request sent"), 200
+        phone = str(data["phone"]).strip()
+        preferred = i18n.translate("en", f"callback.time.{data['preferred_time']}")
+        hours = business_hours.status()
+        sender = os.getenv("MAIL_FROM") or os.getenv("MAIL_USER", "")
+        to = os.getenv("TO_EMAIL", "")
+        site = (os.getenv("SITE_URL") or request.url_root).rstrip("/")
+
+        def build_message(reference):
+            return emails.build(
+                "callback",
+                emails.callback_context(
+                    data, reference, f"{datetime.utcnow():%Y-%m-%d %H:%M} UTC", to,
+                    preferred=preferred, hours=hours, admin_url=f"{site}/admin/",
+                ),
+                f"Call back {data['name']} — {phone}", sender, to,
+            )
+
+        # Built before saving, so a message that cannot be built never leaves a lead nobody hears about
+        reference = leads.new_reference()
+        msg = build_message(reference)
+        lead_id, stored = leads.create({
+            "name": data["name"],
+            "phone": phone,
+            "service": "callback",
+            "message": f"Please call back: {preferred}",
+            "details": {"preferred_time": data["preferred_time"]},
+            "lang": lang,
+        }, reference=reference)
+        if stored != reference:
+            reference, msg = stored, build_message(stored)
+
+        text = f"Call back {reference}: {data['name']}, {phone}, {preferred}"
+        if not hours["open"]:
+            text += ". Sent after hours"
+        lead = leads.get(lead_id)
+        lead.pop("notes", None)
+        notify.dispatch([notify.Notification("lead", msg, text=text, data=lead, lead_id=lead_id)], NOTIFIERS)
+        leads.mark_delivery(lead_id, notify.lead_status(lead_id))
+
+        return jsonify(
+            success=True, message="Callback requested", reference=reference, open=hours["open"],
+            token=spam.issue_token(),
+        ), 200
+    except Exception:
+        return failed_after_token(t, "Callback request")
 
 if __name__ == "__main__":
     # Read PORT from env; default 5050 (since macOS often occupies 5000)
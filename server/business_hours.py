@@ -0,0 +1,64 @@
+"""
+Opening hours and holidays from server/hours.json, in Winnipeg time.
+
+"weekly" gives each day's {"open", "close"} ("HH:MM") or null when closed.
+A holiday closes the whole day, unless it has its own "open"/"close" for
+reduced hours (Christmas Eve). The home page embeds the same file so
+public/js/business-hours.js can show a live "open now / opens Monday 8 AM"
+status; here it drives site-visit slots (scheduling.py) and tells the
+callback endpoint whether someone is in to call back.
+"""
+import json
+import os
+from datetime import datetime, time, timedelta, timezone
+from zoneinfo import ZoneInfo
+
+with open(os.path.join(os.path.dirname(__file__), "hours.json"), encoding="utf-8") as f:
+    CONFIG = json.load(f)
+
+TIMEZONE_NAME = CONFIG["timeZone"]
+TIMEZONE = ZoneInfo(TIMEZONE_NAME)
+
+WEEKDAYS = ("monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday")
+HOLIDAYS = {holiday["date"]: holiday for holiday in CONFIG.get("holidays", [])}
+
+# A closure longer than this (e.g. a winter break) reports no next opening
+LOOKAHEAD_DAYS = 31
+
+
+def _time(value):
+    hour, minute = str(value).split(":")
+    return time(int(hour), int(minute))
+
+
+def holiday(day):
+    """The holiday entry for a date, or None."""
+    return HOLIDAYS.get(day.isoformat())
+
+
+def hours_on(day):
+    """(open, close) times for a Winnipeg date, or None when closed all day."""
+    hours = holiday(day)
+    if hours is None:
+        hours = CONFIG["weekly"].get(WEEKDAYS[day.weekday()])
+    if not hours or not hours.get("open") or not hours.get("close"):
+        return None
+    return _time(hours["open"]), _time(hours["close"])
+
+
+def status(now=None):
+    """Whether we are open at `now` and, as aware Winnipeg datetimes, when that changes:
+    {"open": True, "closes_at": ...} or {"open": False, "opens_at": ... or None}."""
+    now = (now or datetime.now(timezone.utc)).astimezone(TIMEZONE)
+    for offset in range(LOOKAHEAD_DAYS + 1):
+        day = now.date() + timedelta(days=offset)
+        hours = hours_on(day)
+        if not hours:
+            continue
+        opens = datetime.combine(day, hours[0], tzinfo=TIMEZONE)
+        closes = datetime.combine(day, hours[1], tzinfo=TIMEZONE)
+        if opens <= now < closes:
+            return {"open": True, "closes_at": closes}
+        if now < opens:
+            return {"open": False, "opens_at": opens}
+    return {"open": False, "opens_at": None}
@@ -0,0 +1,46 @@
+"""
+SQLite storage shared by the server modules.
+
+Each module that keeps data declares its own tables and calls ensure_schema()
+at import time. The file lives in server/data/ (mounted as a volume in
+docker-compose.yml) unless DATABASE_PATH points elsewhere.
+"""
+import os
+import sqlite3
+
+HERE = os.path.dirname(__file__)
+
+
+def path():
+    """The database file, read on every call so a DATABASE_PATH from server/.env
+    applies even to modules imported before it was loaded."""
+    return os.getenv("DATABASE_PATH") or os.path.join(HERE, "data", "excaliber.db")
+
+
+def connect():
+    """Open a connection; use it as `with closing(connect()) as conn, conn:`."""
+    db_path = path()
+    os.makedirs(os.path.dirname(os.path.abspath(db_path)), exist_ok=True)
+    conn = sqlite3.connect(db_path, timeout=10)
+    conn.row_factory = sqlite3.Row
+    return conn
+
+
+def ensure_schema(sql):
+    conn = connect()
+    try:
+        conn.executescript(sql)
+    finally:
+        conn.close()
+
+
+def ensure_column(table, column, definition):
+    """Add a column that a later release introduced to an existing table."""
+    conn = connect()
+    try:
+        columns = {row["name"] for row in conn.execute(f"PRAGMA table_info({table})")}
+        if column not in columns:
+            conn.execute(f"ALTER TABLE {table} ADD COLUMN {column} {definition}")
+            conn.commit()
+    finally:
+        conn.close()
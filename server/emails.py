@@ -0,0 +1,275 @@
+"""
+Multipart (HTML + plain text) emails built from templates/email/.
+
+Each email is a pair of templates, <name>.html and <name>.txt, rendered with
+the same context: "lead" goes to staff, "confirmation" to the customer and
+"callback" to staff when someone asks to be called back. The
+HTML uses inline styles and tables because that is all mail clients reliably
+support. Sections that depend on the service (badge colour, the project
+details block, next steps) come from SERVICE_SECTIONS and the catalogs.
+
+/admin/emails/ (admin.py) renders every template with sample_context() so the
+layout can be checked without sending anything.
+"""
+import os
+import re
+from datetime import datetime, timedelta, timezone
+from email.message import EmailMessage
+
+from jinja2 import Environment, FileSystemLoader, select_autoescape
+
+import business_hours
+import i18n
+import scheduling
+import service_area
+
+TEMPLATES = ("lead", "confirmation", "callback")
+
+env = Environment(
+    loader=FileSystemLoader(os.path.join(os.path.dirname(__file__), "templates", "email")),
+    autoescape=select_autoescape(["html"]),
+    trim_blocks=True,
+    lstrip_blocks=True,
+)
+
+BRAND = {
+    "name": "Excaliber Construction",
+    "tagline": "Roofing, renovations and property services",
+    "color": "#6a0dad",
+    "phone": "431 348 0018",
+}
+
+# Service-specific wizard answers, in the order they appear in the email
+SERVICE_DETAILS = {
+    "tin-roofing": [("roof_area", "Roof area (sq ft)"), ("roof_pitch", "Roof pitch")],
+    "shingles": [("roof_area", "Roof area (sq ft)"), ("roof_pitch", "Roof pitch")],
+    "snow-removal": [("lot_size", "Lot size"), ("driveway_count", "Driveways")],
+    "tree-removal": [("tree_height", "Tree height"), ("tree_count", "Number of trees")],
+    "grass-cutting": [("lawn_size", "Lawn size"), ("visits", "Visits")],
+    "drywalling": [("drywall_area", "Wall and ceiling area (sq ft)")],
+}
+
+# Badge colour, the heading of the project details block and a note for the crew
+SERVICE_SECTIONS = {
+    "tin-roofing": {"color": "#6a0dad", "title": "Roof", "tip": "Check roof access and bring the pitch gauge."},
+    "shingles": {"color": "#6a0dad", "title": "Roof", "tip": "Check roof access and bring the pitch gauge."},
+    "landscaping": {"color": "#1e8449", "title": "Yard", "tip": ""},
+    "painting": {"color": "#d35400", "title": "Painting", "tip": ""},
+    "drywalling": {"color": "#7f8c8d", "title": "Walls and ceilings", "tip": "Ask about ceiling height and texture match."},
+    "tree-removal": {"color": "#27ae60", "title": "Trees", "tip": "Look for power lines and nearby structures."},
+    "demolition": {"color": "#c0392b", "title": "Demolition", "tip": "Ask about permits and utility shut-offs."},
+    "grass-cutting": {"color": "#1e8449", "title": "Lawn", "tip": "Confirm visit frequency and gate access."},
+    "snow-removal": {"color": "#2980b9", "title": "Property", "tip": "Confirm the season start and where snow can be piled."},
+}
+DEFAULT_SECTION = {"color": "#555555", "title": "Project", "tip": ""}
+
+# Catalog key of the customer's "what happens next" paragraph
+NEXT_STEPS = {
+    "tin-roofing": "email.next.roofing",
+    "shingles": "email.next.roofing",
+    "tree-removal": "email.next.treeRemoval",
+    "snow-removal": "email.next.snowRemoval",
+    "grass-cutting": "email.next.grassCutting",
+    "drywalling": "email.next.drywalling",
+}
+
+
+def detail_rows(service, details):
+    """The wizard answers for a service as (label, value) rows."""
+    if not isinstance(details, dict):
+        return []
+    rows = []
+    for key, label in SERVICE_DETAILS.get(service, []):
+        value = str(details.get(key) or "").strip()
+        if value:
+            rows.append((label, value))
+    return rows
+
+
+def tel_href(phone):
+    """tap-to-call link for a North American number: "tel:+12045551234"."""
+    digits = re.sub(r"\D", "", str(phone or ""))
+    if len(digits) == 10:
+        digits = "1" + digits
+    return f"tel:+{digits}" if digits else ""
+
+
+def badge(service, lang="en"):
+    section = SERVICE_SECTIONS.get(service, DEFAULT_SECTION)
+    return {"label": i18n.service_label(lang, service), "color": section["color"]}
+
+
+def render(name, context):
+    """(text, html) for a template pair."""
+    text = env.get_template(f"{name}.txt").render(context)
+    html = env.get_template(f"{name}.html").render(context)
+    return text, html
+
+
+def _header(value):
+    # Header values carry visitor input (names, phones); a line break in one would be refused
+    return " ".join(str(value).splitlines())
+
+
+def build(name, context, subject, sender, to, reply_to=None):
+    """An EmailMessage with text and HTML alternatives; attachments can be added after."""
+    text, html = render(name, context)
+    msg = EmailMessage()
+    msg["Subject"] = _header(subject)
+    msg["From"] = _header(sender)
+    if to:
+        msg["To"] = _header(to)
+    if reply_to:
+        msg["Reply-To"] = _header(reply_to)
+    msg.set_content(text)
+    msg.add_alternative(html, subtype="html")
+    return msg
+
+
+def _base(lang, contact_email):
+    return {
+        "lang": lang,
+        "t": i18n.translator(lang),
+        "brand": dict(BRAND, email=contact_email, phone_href=tel_href(BRAND["phone"])),
+    }
+
+
+def lead_context(data, reference, received, contact_email, details=(), estimate=(), area=None,
+                 area_line="", visit_text="", photo_count=0, admin_url=""):
+    """Staff notification. details are (label, value) rows, estimate a list of lines."""
+    service = data["service"]
+    lang = i18n.normalize(data.get("lang")) or i18n.DEFAULT
+    phone = (data.get("phone") or "").strip()
+    section = SERVICE_SECTIONS.get(service, DEFAULT_SECTION)
+    context = _base("en", contact_email)
+    context.update({
+        "reference": reference,
+        "received": received,
+        "name": data["name"],
+        "email": (data.get("email") or "").strip(),
+        "phone": phone,
+        "phone_href": tel_href(phone),
+        "service": service,
+        "badge": badge(service),
+        "address": str(data.get("address") or "").strip(),
+        "postal_code": area["postal_code"] if area else "",
+        "area_line": area_line,
+        "outside_area": bool(area) and not area["inside"],
+        "customer_language": i18n.LANGUAGE_NAMES[lang],
+        "reply_in_french": lang == "fr",
+        "section": {"title": section["title"], "rows": list(details), "tip": section["tip"]},
+        "estimate": list(estimate),
+        "visit": visit_text,
+        "message": data.get("message") or "",
+        "photo_count": photo_count,
+        "admin_url": admin_url,
+    })
+    return context
+
+
+def confirmation_context(data, reference, lang, contact_email, estimate=None, visit_text="",
+                         photo_count=0, status_url=""):
+    """Customer copy. estimate is (low, high) in dollars or None."""
+    t = i18n.translator(lang)
+    service = data["service"]
+    address = ", ".join(
+        part for part in (str(data.get("address") or "").strip(), service_area.normalize(data.get("postal_code")))
+        if part
+    )
+    facts = [
+        (t("email.confirmation.service"), i18n.service_label(lang, service)),
+        (t("email.confirmation.address"), address),
+        (t("email.confirmation.phone"), (data.get("phone") or "").strip()),
+        (t("email.confirmation.email"), (data.get("email") or "").strip()),
+    ]
+    if estimate:
+        facts.append((t("email.confirmation.estimate"), t(
+            "email.confirmation.estimateRange",
+            low=i18n.format_money(lang, estimate[0]),
+            high=i18n.format_money(lang, estimate[1]),
+        )))
+    if visit_text:
+        facts.append((t("email.confirmation.visit"), t("email.confirmation.visitTime", date=visit_text)))
+    if photo_count:
+        facts.append((t("email.confirmation.photos"), str(photo_count)))
+
+    context = _base(lang, contact_email)
+    context.update({
+        "reference": reference,
+        "name": data["name"],
+        "badge": badge(service, lang),
+        "facts": [(label, value) for label, value in facts if value],
+        "next_steps": t(NEXT_STEPS.get(service, "email.next.default")),
+        "message": data.get("message") or "",
+        "status_url": status_url,
+    })
+    return context
+
+
+def callback_context(data, reference, received, contact_email, preferred="", hours=None, admin_url=""):
+    """Staff notification for the callback widget. hours is business_hours.status() when it was sent."""
+    lang = i18n.normalize(data.get("lang")) or i18n.DEFAULT
+    phone = str(data.get("phone") or "").strip()
+    hours = hours or business_hours.status()
+    if hours["open"]:
+        hours_line = f"Sent during business hours (open until {scheduling.format_time(hours['closes_at'])})"
+    elif hours["opens_at"]:
+        hours_line = f"Sent after hours; we open {scheduling.format_slot(hours['opens_at'])}"
+    else:
+        hours_line = "Sent after hours"
+    context = _base("en", contact_email)
+    context.update({
+        "reference": reference,
+        "received": received,
+        "name": data["name"],
+        "phone": phone,
+        "phone_href": tel_href(phone),
+        "badge": badge("callback"),
+        "preferred": preferred,
+        "open": hours["open"],
+        "hours_line": hours_line,
+        "customer_language": i18n.LANGUAGE_NAMES[lang],
+        "reply_in_french": lang == "fr",
+        "admin_url": admin_url,
+    })
+    return context
+
+
+SAMPLE_ANSWERS = {
+    "roof_area": "1200", "roof_pitch": "medium", "lot_size": "standard", "driveway_count": "1",
+    "tree_height": "15-30", "tree_count": "2", "lawn_size": "medium", "visits": "12", "drywall_area": "800",
+}
+
+
+def sample_context(name, service="shingles", lang="en"):
+    """Made-up lead for the preview route."""
+    visit = datetime.now(timezone.utc) + timedelta(days=2)
+    data = {
+        "name": "Jordan Sample",
+        "email": "jordan@example.com",
+        "phone": "204 555 0199",
+        "service": service,
+        "address": "123 Main Street, Winnipeg",
+        "postal_code": "R2M 3A1",
+        "message": "Looking for a quote before the end of the month.\nThe side gate is unlocked.",
+        "lang": lang,
+    }
+    if name == "callback":
+        return callback_context(
+            data, "EXC-SAM-PL3", datetime.now(timezone.utc).strftime("%Y-%m-%d %H:%M UTC"), "office@example.com",
+            preferred=i18n.translate("en", "callback.time.morning"), admin_url="https://example.com/admin/",
+        )
+    if name == "confirmation":
+        return confirmation_context(
+            data, "EXC-SAM-PL3", lang, "office@example.com", estimate=(4200, 6100),
+            visit_text=scheduling.format_slot(visit, lang), photo_count=2,
+            status_url="https://example.com/status?ref=EXC-SAM-PL3",
+        )
+    area = service_area.lookup(data["postal_code"])
+    return lead_context(
+        data, "EXC-SAM-PL3", datetime.now(timezone.utc).strftime("%Y-%m-%d %H:%M UTC"), "office@example.com",
+        details=detail_rows(service, SAMPLE_ANSWERS),
+        estimate=["Range: $4,200 – $6,100 CAD"],
+        area=area, area_line=service_area.describe(area),
+        visit_text=scheduling.format_slot(visit), photo_count=2, admin_url="https://example.com/admin/",
+    )
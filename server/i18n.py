@@ -0,0 +1,77 @@
+"""
+Server side of the English/French localization.
+
+The catalogs in public/locales/<lang>.json are shared with the browser: the
+home page embeds them for public/js/i18n.js, and the API uses them to answer
+in the visitor's language. Missing keys fall back to English, then to the key.
+"""
+import json
+import os
+import re
+
+LOCALES_DIR = os.path.join(os.path.dirname(__file__), "..", "public", "locales")
+
+DEFAULT = "en"
+SUPPORTED = ("en", "fr")
+LANGUAGE_NAMES = {"en": "English", "fr": "French"}
+
+
+def _load():
+    catalogs = {}
+    for lang in SUPPORTED:
+        with open(os.path.join(LOCALES_DIR, f"{lang}.json"), encoding="utf-8") as f:
+            catalogs[lang] = json.load(f)
+    return catalogs
+
+
+CATALOGS = _load()
+
+
+def normalize(lang):
+    """Map "fr-CA", "FR" etc. to a supported language code, or None."""
+    code = str(lang or "").strip().lower().replace("_", "-").split("-")[0]
+    return code if code in SUPPORTED else None
+
+
+def pick_language(req):
+    """Language for a request: the switcher's cookie, then Accept-Language."""
+    return (
+        normalize(req.cookies.get("lang"))
+        or normalize(req.accept_languages.best_match(SUPPORTED))
+        or DEFAULT
+    )
+
+
+def translate(lang, key, **params):
+    message = CATALOGS.get(normalize(lang) or DEFAULT, {}).get(key)
+    if message is None:
+        message = CATALOGS[DEFAULT].get(key, key)
+    return re.sub(
+        r"\{(\w+)\}",
+        lambda m: str(params[m.group(1)]) if m.group(1) in params else m.group(0),
+        message,
+    )
+
+
+def translator(lang):
+    """translate() bound to one language, for validation.validate()."""
+    return lambda key, **params: translate(lang, key, **params)
+
+
+def format_money(lang, amount):
+    """Whole dollars the way each language writes them: "$1,250" / "1 250 $"."""
+    grouped = f"{round(amount):,}"
+    if normalize(lang) == "fr":
+        # Narrow no-break space between thousands, no-break space before the sign
+        return grouped.replace(",", "\u202f") + "\u00a0$"
+    return f"${grouped}"
+
+
+def service_label(lang, service):
+    """Catalog name of a service slug ("tree-removal" -> "Tree Removal")."""
+    if service == "other":
+        return translate(lang, "services.other")
+    words = str(service).split("-")
+    key = f"services.{words[0]}{''.join(w.capitalize() for w in words[1:])}.title"
+    message = translate(lang, key)
+    return service if message == key else message
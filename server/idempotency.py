@@ -0,0 +1,105 @@
+"""
+Idempotency keys for /api/contact.
+
+The form sends an Idempotency-Key header that stays the same for every retry
+of one submission attempt: a double tap, a resend after the browser's timeout
+or a replay from the offline queue. The first request to arrive with a key
+claims it and is processed; its successful response is stored and any repeat
+within WINDOW gets that response back instead of creating a second lead.
+
+Failed attempts are not stored, so correcting a field and sending again
+works. A repeat that arrives while the first request is still running waits
+up to WAIT_SECONDS for it to finish.
+"""
+import re
+import time
+from contextlib import closing
+
+from flask import Response
+
+import db
+
+# How long a stored response is replayed
+WINDOW = 24 * 60 * 60
+
+# A claimed key whose request never finished (worker killed mid-request) is given up after this
+STALE_SECONDS = 5 * 60
+
+# Less than the browser's 10 second timeout, so a waiting repeat still gets an answer
+WAIT_SECONDS = 8
+POLL_SECONDS = 0.25
+
+KEY_PATTERN = re.compile(r"[A-Za-z0-9_-]{16,64}")
+
+# claim() outcomes
+NEW, DONE, BUSY = "new", "done", "busy"
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY,
+    created_at REAL NOT NULL,
+    status INTEGER,
+    response TEXT
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_created ON idempotency_keys (created_at);
+""")
+
+
+def request_key(request):
+    """The request's Idempotency-Key, or None when it has none (or a malformed one)."""
+    key = request.headers.get("Idempotency-Key", "").strip()
+    return key if KEY_PATTERN.fullmatch(key) else None
+
+
+def _try_claim(key, now):
+    with closing(db.connect()) as conn, conn:
+        conn.execute(
+            "DELETE FROM idempotency_keys WHERE created_at < ? OR (status IS NULL AND created_at < ?)",
+            (now - WINDOW, now - STALE_SECONDS),
+        )
+        cursor = conn.execute(
+            "INSERT OR IGNORE INTO idempotency_keys (key, created_at) VALUES (?, ?)", (key, now)
+        )
+        if cursor.rowcount == 1:
+            return NEW, None
+        row = conn.execute("SELECT status, response FROM idempotency_keys WHERE key = ?", (key,)).fetchone()
+    if row is None:
+        # Released between our insert and select; take it on the next try
+        return BUSY, None
+    if row["status"] is None:
+        return BUSY, None
+    return DONE, {"status": row["status"], "response": row["response"]}
+
+
+def claim(key):
+    """(NEW, None) to go ahead, (DONE, stored) to replay, or (BUSY, None) if the
+    first request is still running after WAIT_SECONDS."""
+    deadline = time.monotonic() + WAIT_SECONDS
+    while True:
+        state, stored = _try_claim(key, time.time())
+        if state != BUSY or time.monotonic() >= deadline:
+            return state, stored
+        time.sleep(POLL_SECONDS)
+
+
+def finish(key, response):
+    """Store a successful response for replay; anything else frees the key."""
+    if response.status_code != 200:
+        release(key)
+        return
+    with closing(db.connect()) as conn, conn:
+        conn.execute(
+            "UPDATE idempotency_keys SET status = ?, response = ? WHERE key = ?",
+            (response.status_code, response.get_data(as_text=True), key),
+        )
+
+
+def release(key):
+    with closing(db.connect()) as conn, conn:
+        conn.execute("DELETE FROM idempotency_keys WHERE key = ?", (key,))
+
+
+def replay(stored):
+    response = Response(stored["response"], status=stored["status"], mimetype="application/json")
+    response.headers["Idempotent-Replayed"] = "true"
+    return response
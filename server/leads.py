@@ -0,0 +1,300 @@
+"""
+Quote requests (leads) stored in the shared SQLite database.
+
+contact() saves every valid submission here before it notifies anyone, so a
+mail outage no longer loses a lead. The /admin dashboard (admin.py) reads and
+updates them: pipeline stage, notes and CSV export.
+
+Besides the internal sales stage (STAGES) each lead has a customer-facing
+progress (PROGRESS) with a dated history, shown on the public /status page.
+"""
+import csv
+import io
+import json
+import secrets
+from contextlib import closing
+from datetime import datetime, timezone
+
+import db
+
+STAGES = ("new", "contacted", "quoted", "won", "lost")
+
+# What the customer sees, in order; a site visit booked in the form is recorded up front
+PROGRESS = ("received", "reviewed", "visit_booked", "quote_sent", "scheduled", "completed")
+
+# Reference numbers are read out over the phone: no 0/O, 1/I/L look-alikes
+REFERENCE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS leads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    service TEXT NOT NULL,
+    address TEXT,
+    postal_code TEXT,
+    area TEXT,
+    distance_km INTEGER,
+    inside_area INTEGER,
+    message TEXT,
+    details TEXT,
+    estimate TEXT,
+    visit_slot TEXT,
+    lang TEXT,
+    photo_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'new',
+    delivery TEXT NOT NULL DEFAULT 'pending',
+    updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS leads_status ON leads (status);
+
+CREATE TABLE IF NOT EXISTS lead_notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL REFERENCES leads (id),
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS lead_notes_lead ON lead_notes (lead_id);
+""")
+db.ensure_column("leads", "reference", "TEXT")
+db.ensure_column("leads", "progress", "TEXT NOT NULL DEFAULT 'received'")
+db.ensure_schema("""
+CREATE UNIQUE INDEX IF NOT EXISTS leads_reference ON leads (reference);
+
+CREATE TABLE IF NOT EXISTS lead_progress (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL REFERENCES leads (id),
+    stage TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS lead_progress_lead ON lead_progress (lead_id);
+""")
+
+# Columns in CSV order; JSON columns are exported as-is
+EXPORT_COLUMNS = (
+    "id", "reference", "created_at", "status", "progress", "name", "email", "phone", "service",
+    "address", "postal_code", "area", "distance_km", "visit_slot", "message", "details", "estimate",
+    "photo_count", "lang", "delivery",
+)
+
+
+def _now():
+    return datetime.now(timezone.utc).isoformat(timespec="seconds")
+
+
+def _row(row):
+    lead = dict(row)
+    for key in ("details", "estimate"):
+        lead[key] = json.loads(lead[key]) if lead.get(key) else None
+    lead["inside_area"] = None if lead.get("inside_area") is None else bool(lead["inside_area"])
+    return lead
+
+
+def new_reference():
+    """A short code customers can quote, e.g. "EXC-4K7-M2Q"."""
+    code = "".join(secrets.choice(REFERENCE_ALPHABET) for _ in range(6))
+    return f"EXC-{code[:3]}-{code[3:]}"
+
+
+def create(data, area=None, visit=None, photo_count=0, reference=None):
+    """Store a validated submission; returns (lead id, reference number).
+
+    reference is used when given (e.g. already in an email built beforehand),
+    but a clash still draws a new one, so callers compare what comes back.
+    """
+    now = _now()
+    values = {
+        "reference": reference or new_reference(),
+        "created_at": now,
+        "updated_at": now,
+        "name": data["name"],
+        "email": (data.get("email") or "").strip(),
+        "phone": (data.get("phone") or "").strip(),
+        "service": data["service"],
+        "address": (data.get("address") or "").strip(),
+        "postal_code": area["postal_code"] if area else "",
+        "area": area["area"] if area else None,
+        "distance_km": area["distance_km"] if area else None,
+        "inside_area": int(area["inside"]) if area else None,
+        "message": data.get("message") or "",
+        "details": json.dumps(data["details"]) if isinstance(data.get("details"), dict) else None,
+        "estimate": json.dumps(data["estimate"]) if isinstance(data.get("estimate"), dict) else None,
+        "visit_slot": visit.isoformat() if visit else None,
+        "lang": data.get("lang") or "en",
+        "photo_count": photo_count,
+    }
+    columns = ", ".join(values)
+    placeholders = ", ".join("?" for _ in values)
+    for _attempt in range(5):
+        try:
+            with closing(db.connect()) as conn, conn:
+                cursor = conn.execute(f"INSERT INTO leads ({columns}) VALUES ({placeholders})", tuple(values.values()))
+                for stage in ("received", "visit_booked") if visit else ("received",):
+                    conn.execute(
+                        "INSERT INTO lead_progress (lead_id, stage, created_at) VALUES (?, ?, ?)",
+                        (cursor.lastrowid, stage, now),
+                    )
+                return cursor.lastrowid, values["reference"]
+        except db.sqlite3.IntegrityError:
+            # 31^6 codes make a clash rare; draw again
+            values["reference"] = new_reference()
+    raise RuntimeError("Could not allocate a unique reference number")
+
+
+def mark_delivery(lead_id, delivery):
+    """Record whether staff were notified: "sent", "queued" (being retried) or "failed"."""
+    with closing(db.connect()) as conn, conn:
+        conn.execute("UPDATE leads SET delivery = ? WHERE id = ?", (delivery, lead_id))
+
+
+def search(text="", service="", status=""):
+    """Newest first, filtered by free text (reference, name, email, phone, address, message)."""
+    clauses, params = [], []
+    if text:
+        like = f"%{text.strip()}%"
+        clauses.append(
+            "(reference LIKE ? OR name LIKE ? OR email LIKE ? OR phone LIKE ? OR address LIKE ?"
+            " OR postal_code LIKE ? OR message LIKE ?)"
+        )
+        params += [like] * 7
+    if service:
+        clauses.append("service = ?")
+        params.append(service)
+    if status:
+        clauses.append("status = ?")
+        params.append(status)
+
+    where = f"WHERE {' AND '.join(clauses)}" if clauses else ""
+    with closing(db.connect()) as conn:
+        rows = conn.execute(f"SELECT * FROM leads {where} ORDER BY id DESC", params).fetchall()
+    return [_row(row) for row in rows]
+
+
+def stage_counts():
+    with closing(db.connect()) as conn:
+        rows = conn.execute("SELECT status, COUNT(*) AS total FROM leads GROUP BY status").fetchall()
+    counts = dict.fromkeys(STAGES, 0)
+    counts.update({row["status"]: row["total"] for row in rows})
+    return counts
+
+
+def get(lead_id):
+    with closing(db.connect()) as conn:
+        row = conn.execute("SELECT * FROM leads WHERE id = ?", (lead_id,)).fetchone()
+        if row is None:
+            return None
+        notes = conn.execute(
+            "SELECT id, body, created_at FROM lead_notes WHERE lead_id = ? ORDER BY id", (lead_id,)
+        ).fetchall()
+    lead = _row(row)
+    lead["notes"] = [dict(note) for note in notes]
+    return lead
+
+
+def set_status(lead_id, status):
+    """Move a lead to another pipeline stage; False for an unknown lead or stage."""
+    if status not in STAGES:
+        return False
+    with closing(db.connect()) as conn, conn:
+        cursor = conn.execute(
+            "UPDATE leads SET status = ?, updated_at = ? WHERE id = ?", (status, _now(), lead_id)
+        )
+        return cursor.rowcount == 1
+
+
+def set_progress(lead_id, stage):
+    """Move the customer-facing progress; stepping back forgets the steps undone."""
+    if stage not in PROGRESS:
+        return False
+    now = _now()
+    with closing(db.connect()) as conn, conn:
+        row = conn.execute("SELECT progress, visit_slot FROM leads WHERE id = ?", (lead_id,)).fetchone()
+        if row is None:
+            return False
+        conn.execute("UPDATE leads SET progress = ?, updated_at = ? WHERE id = ?", (stage, now, lead_id))
+
+        previous = PROGRESS.index(row["progress"]) if row["progress"] in PROGRESS else 0
+        undone = PROGRESS[PROGRESS.index(stage) + 1:previous + 1]
+        if row["visit_slot"]:
+            # The visit the customer booked in the form still stands
+            undone = tuple(step for step in undone if step != "visit_booked")
+        if undone:
+            placeholders = ", ".join("?" for _ in undone)
+            conn.execute(
+                f"DELETE FROM lead_progress WHERE lead_id = ? AND stage IN ({placeholders})", (lead_id, *undone)
+            )
+        if conn.execute(
+            "SELECT 1 FROM lead_progress WHERE lead_id = ? AND stage = ?", (lead_id, stage)
+        ).fetchone() is None:
+            conn.execute(
+                "INSERT INTO lead_progress (lead_id, stage, created_at) VALUES (?, ?, ?)", (lead_id, stage, now)
+            )
+        return True
+
+
+def timeline(reference, email):
+    """Public view of a lead for its reference and email; None when they don't match."""
+    with closing(db.connect()) as conn:
+        row = conn.execute(
+            "SELECT * FROM leads WHERE reference = ? AND email != '' AND lower(email) = lower(?)",
+            (str(reference).strip().upper(), str(email).strip()),
+        ).fetchone()
+        if row is None:
+            return None
+        history = conn.execute(
+            "SELECT stage, MIN(created_at) AS created_at FROM lead_progress WHERE lead_id = ? GROUP BY stage",
+            (row["id"],),
+        ).fetchall()
+
+    reached = {entry["stage"]: entry["created_at"] for entry in history}
+    current = PROGRESS.index(row["progress"]) if row["progress"] in PROGRESS else 0
+    return {
+        "reference": row["reference"],
+        "service": row["service"],
+        "createdAt": row["created_at"],
+        "visit": row["visit_slot"],
+        "progress": PROGRESS[current],
+        "steps": [
+            {
+                "stage": stage,
+                "done": i <= current or stage in reached,
+                "current": i == current,
+                "at": reached.get(stage),
+            }
+            for i, stage in enumerate(PROGRESS)
+        ],
+    }
+
+
+def add_note(lead_id, body):
+    with closing(db.connect()) as conn, conn:
+        if conn.execute("SELECT 1 FROM leads WHERE id = ?", (lead_id,)).fetchone() is None:
+            return None
+        now = _now()
+        cursor = conn.execute(
+            "INSERT INTO lead_notes (lead_id, body, created_at) VALUES (?, ?, ?)", (lead_id, body, now)
+        )
+        conn.execute("UPDATE leads SET updated_at = ? WHERE id = ?", (now, lead_id))
+        return {"id": cursor.lastrowid, "body": body, "created_at": now}
+
+
+def _cell(value):
+    if value is None:
+        return ""
+    if isinstance(value, (dict, list)):
+        value = json.dumps(value)
+    # Spreadsheets run cells starting with these as formulas
+    if isinstance(value, str) and value[:1] in ("=", "+", "-", "@"):
+        return "'" + value
+    return value
+
+
+def to_csv(rows):
+    out = io.StringIO()
+    writer = csv.writer(out)
+    writer.writerow(EXPORT_COLUMNS)
+    for lead in rows:
+        writer.writerow([_cell(lead.get(col)) for col in EXPORT_COLUMNS])
+    return out.getvalue()
@@ -0,0 +1,406 @@
+"""
+Delivery of new-lead notifications through pluggable backends.
+
+contact() hands over finished messages; every configured backend gets its own
+delivery row in SQLite and all of them are tried in parallel. A delivery that
+fails stays queued and a background thread retries it with backoff, so an SMTP
+or gateway outage delays a notification instead of losing the lead.
+
+Backends are picked with NOTIFY_BACKENDS (comma separated, default "smtp"):
+
+    smtp     MAIL_HOST, MAIL_PORT, MAIL_USER, MAIL_PASS, TO_EMAIL
+    webhook  NOTIFY_WEBHOOK_URL, optional NOTIFY_WEBHOOK_SECRET (HMAC-SHA256 signature)
+    sms      SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN, SMS_FROM, SMS_TO (comma separated)
+    outbox   OUTBOX_DIR (default server/data/outbox), writes .eml files
+
+Run `python notify.py retry` to process due retries once (e.g. from cron).
+"""
+import email
+import email.policy
+import hashlib
+import hmac
+import json
+import logging
+import os
+import smtplib
+import sys
+import threading
+import time
+import urllib.request
+from concurrent.futures import ThreadPoolExecutor
+from contextlib import closing
+from datetime import datetime, timedelta, timezone
+
+import db
+
+log = logging.getLogger(__name__)
+
+# Seconds to wait before each retry; a delivery is given up after the last one
+RETRY_DELAYS = (60, 5 * 60, 15 * 60, 60 * 60, 3 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60, 24 * 60 * 60)
+# A claimed delivery whose sender died is picked up again after this long
+LEASE_SECONDS = 5 * 60
+SEND_TIMEOUT = 15
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER,
+    kind TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_id INTEGER NOT NULL REFERENCES notifications (id),
+    backend TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_error TEXT,
+    updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS notification_deliveries_due ON notification_deliveries (status, next_attempt_at);
+""")
+
+
+class Notification:
+    """
+    One message about a lead.
+
+    kind is "lead" (for staff, every backend) or "confirmation" (for the
+    customer, email backends only). message is an EmailMessage; text is the
+    short version used by SMS; data is what the webhook posts.
+    """
+
+    def __init__(self, kind, message, text="", data=None, lead_id=None):
+        self.kind = kind
+        self.message = message
+        self.text = text
+        self.data = data or {}
+        self.lead_id = lead_id
+
+    def to_json(self):
+        return json.dumps({
+            "kind": self.kind,
+            "message": self.message.as_string(policy=email.policy.SMTP),
+            "text": self.text,
+            "data": self.data,
+            "lead_id": self.lead_id,
+        })
+
+    @classmethod
+    def from_json(cls, payload):
+        fields = json.loads(payload)
+        message = email.message_from_string(fields["message"], policy=email.policy.default)
+        return cls(fields["kind"], message, fields["text"], fields["data"], fields["lead_id"])
+
+
+class SmtpBackend:
+    name = "smtp"
+    kinds = ("lead", "confirmation")
+
+    def __init__(self, env):
+        self.host = env.get("MAIL_HOST", "")
+        self.port = int(env.get("MAIL_PORT", "465"))
+        self.user = env.get("MAIL_USER", "")
+        self.password = env.get("MAIL_PASS", "")
+        self.to = env.get("TO_EMAIL", "")
+
+    def configured(self):
+        # Without TO_EMAIL the lead email has nobody to go to
+        return all([self.host, self.port, self.user, self.password, self.to])
+
+    def send(self, notification):
+        if self.port == 465:
+            smtp = smtplib.SMTP_SSL(self.host, self.port, timeout=SEND_TIMEOUT)
+        else:
+            smtp = smtplib.SMTP(self.host, self.port, timeout=SEND_TIMEOUT)
+            smtp.starttls()
+        with smtp:
+            smtp.login(self.user, self.password)
+            smtp.send_message(notification.message)
+
+
+def _post_json(url, body, headers=None, secret=""):
+    data = json.dumps(body).encode("utf-8")
+    req = urllib.request.Request(url, data=data, method="POST", headers={"Content-Type": "application/json"})
+    for key, value in (headers or {}).items():
+        req.add_header(key, value)
+    if secret:
+        # Receivers recompute this over the raw body to trust the request
+        digest = hmac.new(secret.encode(), data, hashlib.sha256).hexdigest()
+        req.add_header("X-Excaliber-Signature", f"sha256={digest}")
+    # urlopen raises HTTPError for 4xx/5xx, which counts as a failed attempt
+    with urllib.request.urlopen(req, timeout=SEND_TIMEOUT) as res:
+        res.read()
+
+
+class WebhookBackend:
+    name = "webhook"
+    kinds = ("lead",)
+
+    def __init__(self, env):
+        self.url = env.get("NOTIFY_WEBHOOK_URL", "")
+        self.secret = env.get("NOTIFY_WEBHOOK_SECRET", "")
+
+    def configured(self):
+        return self.url.startswith(("http://", "https://"))
+
+    def send(self, notification):
+        body = {"event": "lead.created", "text": notification.text, "lead": notification.data}
+        _post_json(self.url, body, secret=self.secret)
+
+
+class SmsBackend:
+    """Generic SMS gateway: POSTs {"from", "to", "text"} with a bearer token."""
+
+    name = "sms"
+    kinds = ("lead",)
+    MAX_LENGTH = 320
+
+    def __init__(self, env):
+        self.url = env.get("SMS_GATEWAY_URL", "")
+        self.token = env.get("SMS_GATEWAY_TOKEN", "")
+        self.sender = env.get("SMS_FROM", "")
+        self.recipients = [number.strip() for number in env.get("SMS_TO", "").split(",") if number.strip()]
+
+    def configured(self):
+        return self.url.startswith(("http://", "https://")) and bool(self.recipients)
+
+    def send(self, notification):
+        text = notification.text
+        if len(text) > self.MAX_LENGTH:
+            text = text[:self.MAX_LENGTH - 1] + "…"
+        headers = {"Authorization": f"Bearer {self.token}"} if self.token else {}
+        for recipient in self.recipients:
+            _post_json(self.url, {"from": self.sender, "to": recipient, "text": text}, headers)
+
+
+class OutboxBackend:
+    """Writes each message as an .eml file instead of sending it (development, tests)."""
+
+    name = "outbox"
+    kinds = ("lead", "confirmation")
+
+    def __init__(self, env):
+        default = os.path.join(os.path.dirname(os.path.abspath(db.path())), "outbox")
+        self.directory = env.get("OUTBOX_DIR") or default
+
+    def configured(self):
+        return True
+
+    def send(self, notification):
+        os.makedirs(self.directory, exist_ok=True)
+        stamp = datetime.now(timezone.utc).strftime("%Y%m%dT%H%M%S%f")
+        path = os.path.join(self.directory, f"{stamp}-{notification.lead_id or 0}-{notification.kind}.eml")
+        # Written under a temporary name so a reader never sees half a file
+        with open(path + ".tmp", "wb") as f:
+            f.write(notification.message.as_bytes(policy=email.policy.SMTP))
+        os.replace(path + ".tmp", path)
+
+
+BACKEND_TYPES = {}
+
+
+def register_backend(backend_class):
+    """Make a backend selectable by its name in NOTIFY_BACKENDS."""
+    BACKEND_TYPES[backend_class.name] = backend_class
+
+
+for _backend in (SmtpBackend, WebhookBackend, SmsBackend, OutboxBackend):
+    register_backend(_backend)
+
+
+def load_backends(env=os.environ):
+    """Instantiate the configured backends, skipping (and logging) incomplete ones."""
+    backends = {}
+    for name in env.get("NOTIFY_BACKENDS", "smtp").split(","):
+        name = name.strip().lower()
+        if not name:
+            continue
+        backend_class = BACKEND_TYPES.get(name)
+        if backend_class is None:
+            log.error("Unknown notification backend %r", name)
+            continue
+        backend = backend_class(env)
+        if backend.configured():
+            backends[name] = backend
+        else:
+            log.error("Notification backend %r is missing its settings", name)
+    return backends
+
+
+def _now():
+    return datetime.now(timezone.utc)
+
+
+def _stamp(moment):
+    return moment.isoformat(timespec="seconds")
+
+
+# Cleared once none of a notification's deliveries can send it again: the payload
+# is the whole message, photos and contact details included, and only retries need it
+CLEAR_FINISHED = (
+    "UPDATE notifications SET payload = '' WHERE payload != '' AND {where} AND NOT EXISTS ("
+    "SELECT 1 FROM notification_deliveries d WHERE d.notification_id = notifications.id"
+    " AND d.status NOT IN ('sent', 'failed'))"
+)
+
+
+def enqueue(notifications, backends):
+    """Store notifications with a claimed delivery row per backend; returns [(delivery id, backend)]."""
+    now = _now()
+    lease = _stamp(now + timedelta(seconds=LEASE_SECONDS))
+    deliveries = []
+    with closing(db.connect()) as conn, conn:
+        for notification in notifications:
+            targets = {name: backend for name, backend in backends.items() if notification.kind in backend.kinds}
+            cursor = conn.execute(
+                "INSERT INTO notifications (lead_id, kind, payload, created_at) VALUES (?, ?, ?, ?)",
+                (notification.lead_id, notification.kind, notification.to_json() if targets else "", _stamp(now)),
+            )
+            for name, backend in targets.items():
+                row = conn.execute(
+                    "INSERT INTO notification_deliveries"
+                    " (notification_id, backend, status, next_attempt_at, updated_at) VALUES (?, ?, 'sending', ?, ?)",
+                    (cursor.lastrowid, name, lease, _stamp(now)),
+                )
+                deliveries.append((row.lastrowid, notification, backend))
+    return deliveries
+
+
+def _attempt(delivery_id, notification, backend):
+    """Send once and record the outcome; True when delivered."""
+    error = None
+    try:
+        backend.send(notification)
+    except Exception as e:
+        error = f"{type(e).__name__}: {e}"[:500]
+
+    now = _now()
+    with closing(db.connect()) as conn, conn:
+        attempts = conn.execute(
+            "SELECT attempts FROM notification_deliveries WHERE id = ?", (delivery_id,)
+        ).fetchone()["attempts"] + 1
+        if error is None:
+            status, next_attempt = "sent", now
+        elif attempts > len(RETRY_DELAYS):
+            status, next_attempt = "failed", now
+        else:
+            status, next_attempt = "pending", now + timedelta(seconds=RETRY_DELAYS[attempts - 1])
+        conn.execute(
+            "UPDATE notification_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?,"
+            " updated_at = ? WHERE id = ?",
+            (status, attempts, _stamp(next_attempt), error, _stamp(now), delivery_id),
+        )
+        if status != "pending":
+            conn.execute(
+                CLEAR_FINISHED.format(
+                    where="id = (SELECT notification_id FROM notification_deliveries WHERE id = ?)"
+                ),
+                (delivery_id,),
+            )
+
+    if error:
+        log.warning("Notification %s via %s failed (attempt %s): %s", delivery_id, backend.name, attempts, error)
+    return error is None
+
+
+def _run(deliveries):
+    if not deliveries:
+        return []
+    # Backends talk to different services, so a slow one never holds up the rest
+    with ThreadPoolExecutor(max_workers=len(deliveries)) as pool:
+        return list(pool.map(lambda delivery: _attempt(*delivery), deliveries))
+
+
+def lead_status(lead_id):
+    """"sent", "queued" or "failed" for the staff notifications of a lead."""
+    with closing(db.connect()) as conn:
+        rows = conn.execute(
+            "SELECT d.status FROM notification_deliveries d JOIN notifications n ON n.id = d.notification_id"
+            " WHERE n.lead_id = ? AND n.kind = 'lead'",
+            (lead_id,),
+        ).fetchall()
+    statuses = {row["status"] for row in rows}
+    if not statuses or "failed" in statuses:
+        return "failed"
+    if statuses == {"sent"}:
+        return "sent"
+    return "queued"
+
+
+def dispatch(notifications, backends):
+    """Queue and immediately try every delivery in parallel; returns how many went out."""
+    results = _run(enqueue(notifications, backends))
+    return sum(results)
+
+
+def claim_due(backends, limit=20):
+    """Take due deliveries (including ones whose sender died) for this process."""
+    now = _now()
+    lease = _stamp(now + timedelta(seconds=LEASE_SECONDS))
+    claimed = []
+    with closing(db.connect()) as conn, conn:
+        rows = conn.execute(
+            "SELECT d.id, d.backend, n.payload FROM notification_deliveries d"
+            " JOIN notifications n ON n.id = d.notification_id"
+            " WHERE d.status IN ('pending', 'sending') AND d.next_attempt_at <= ? ORDER BY d.id LIMIT ?",
+            (_stamp(now), limit),
+        ).fetchall()
+        for row in rows:
+            backend = backends.get(row["backend"])
+            if backend is None:
+                continue
+            # Another worker may have claimed it between the SELECT and here
+            cursor = conn.execute(
+                "UPDATE notification_deliveries SET status = 'sending', next_attempt_at = ?"
+                " WHERE id = ? AND status IN ('pending', 'sending') AND next_attempt_at <= ?",
+                (lease, row["id"], _stamp(now)),
+            )
+            if cursor.rowcount == 1:
+                claimed.append((row["id"], Notification.from_json(row["payload"]), backend))
+    return claimed
+
+
+def retry_due(backends, on_done=None):
+    """Retry every due delivery once; on_done(lead_id) runs for each lead touched."""
+    deliveries = claim_due(backends)
+    _run(deliveries)
+    # Also clears notifications that finished before payloads were cleared as they finish
+    with closing(db.connect()) as conn, conn:
+        conn.execute(CLEAR_FINISHED.format(where="1"))
+    if on_done:
+        for lead_id in {notification.lead_id for _id, notification, _backend in deliveries if notification.lead_id}:
+            on_done(lead_id)
+    return len(deliveries)
+
+
+def start_worker(backends, on_done=None, interval=60):
+    """Background thread retrying queued deliveries every `interval` seconds."""
+    def loop():
+        while True:
+            time.sleep(interval)
+            try:
+                retry_due(backends, on_done)
+            except Exception:
+                log.exception("Notification retry pass failed")
+
+    thread = threading.Thread(target=loop, name="notify-retry", daemon=True)
+    thread.start()
+    return thread
+
+
+if __name__ == "__main__":
+    if sys.argv[1:] != ["retry"]:
+        sys.exit("usage: python notify.py retry")
+
+    from dotenv import load_dotenv
+
+    import leads
+
+    load_dotenv(os.path.join(os.path.dirname(__file__), ".env"))
+    logging.basicConfig(level=logging.INFO)
+    count = retry_due(load_backends(), lambda lead_id: leads.mark_delivery(lead_id, lead_status(lead_id)))
+    print(f"Retried {count} deliveries")
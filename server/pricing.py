@@ -0,0 +1,96 @@
+"""
+Ballpark estimates from server/pricing.json.
+
+Mirrors public/js/estimate.js so the range in our emails is computed here from
+the wizard answers, not taken from what the browser sent. See that file for
+the shape of each priced service.
+"""
+import json
+import math
+import os
+from datetime import datetime
+from zoneinfo import ZoneInfo
+
+with open(os.path.join(os.path.dirname(__file__), "pricing.json"), encoding="utf-8") as f:
+    CONFIG = json.load(f)
+
+CURRENCY = CONFIG.get("currency", "CAD")
+ROUND_TO = CONFIG.get("roundTo") or 1
+
+
+def season(now=None):
+    """Name of the season for now (months in the config's time zone), or None."""
+    zone = CONFIG.get("timeZone")
+    now = now or datetime.now(ZoneInfo(zone) if zone else None)
+    if zone and now.tzinfo:
+        now = now.astimezone(ZoneInfo(zone))
+    for name, months in CONFIG.get("seasons", {}).items():
+        if now.month in months:
+            return name
+    return None
+
+
+def _quantity(pricing, inputs):
+    quantity = pricing.get("quantity")
+    if not quantity:
+        return 1
+    try:
+        value = float(inputs.get(quantity["field"]))
+    except (TypeError, ValueError):
+        return None
+    if not math.isfinite(value) or value <= 0:
+        return None
+    return math.ceil(value / (quantity.get("per") or 1))
+
+
+def _rate(pricing, inputs):
+    rate = pricing.get("rate") or {}
+    if "field" not in rate:
+        return rate
+    return (rate.get("values") or {}).get(str(inputs.get(rate["field"]))) or None
+
+
+def estimate(service, inputs, now=None):
+    """Price range for a service, or None when an input it needs is missing or unknown."""
+    pricing = CONFIG.get("services", {}).get(service)
+    inputs = inputs if isinstance(inputs, dict) else {}
+    if not pricing:
+        return None
+
+    quantity = _quantity(pricing, inputs)
+    rate = _rate(pricing, inputs)
+    if quantity is None or not rate:
+        return None
+
+    multiplier = 1
+    for field, factors in (pricing.get("multipliers") or {}).items():
+        factor = factors.get(str(inputs.get(field)))
+        if factor is None:
+            return None
+        multiplier *= factor
+
+    current = season(now)
+    seasonal = (pricing.get("seasonal") or {}).get(current) or 1
+    multiplier *= seasonal
+
+    minimum = pricing.get("minimum") or 0
+    low = quantity * rate["low"] * multiplier
+    high = quantity * rate["high"] * multiplier
+
+    fields = [
+        (pricing.get("quantity") or {}).get("field"),
+        (pricing.get("rate") or {}).get("field"),
+        *(pricing.get("multipliers") or {}),
+    ]
+    return {
+        "service": service,
+        "low": math.floor(max(low, minimum) / ROUND_TO) * ROUND_TO,
+        "high": math.ceil(max(high, minimum) / ROUND_TO) * ROUND_TO,
+        "currency": CURRENCY,
+        "quantity": quantity,
+        "unit": pricing.get("unit"),
+        "season": current if seasonal != 1 else None,
+        "seasonalMultiplier": seasonal,
+        "minimumApplied": low < minimum,
+        "inputs": {field: inputs.get(field) for field in fields if field},
+    }
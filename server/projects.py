@@ -0,0 +1,140 @@
+"""
+Finished jobs for the portfolio, from server/projects.json.
+
+Each project has a slug, a title ({"en", "fr"} or one string for both), a
+service slug from the contact form's list, a location, a completion date
+("YYYY-MM-DD"), a cover image and its photos ({"src", "caption"}). A project
+can also have a before/after pair for the comparison slider:
+{"before", "after", "orientation": "horizontal" | "vertical"}. Image paths
+are relative to public/ (photos go in public/projects/<slug>/); full URLs are
+used as they are. /api/projects serves the list newest first and
+public/js/portfolio.js renders the grid and filters from it.
+
+A malformed file stops the app at startup. A local image that is not on disk
+is left out with a warning, and a project whose cover is missing is hidden,
+so a half-uploaded job never shows broken images. The sample jobs ship with
+drawn placeholder images in public/projects/; swap in real photos before
+going live.
+"""
+import json
+import logging
+import os
+import re
+from datetime import date
+
+import validation
+
+HERE = os.path.dirname(__file__)
+PUBLIC = os.path.abspath(os.path.join(HERE, "..", "public"))
+
+SERVICES = validation.load_rules("contact")["fields"]["service"]["oneOf"]
+SLUG = re.compile(r"^[a-z0-9]+(-[a-z0-9]+)*$")
+ORIENTATIONS = ("horizontal", "vertical")
+
+log = logging.getLogger(__name__)
+
+
+def _text(value, what):
+    """A translated string as {"en", "fr"}; a plain string serves both languages."""
+    if isinstance(value, str) and value.strip():
+        return {"en": value.strip(), "fr": value.strip()}
+    if isinstance(value, dict) and isinstance(value.get("en"), str) and value["en"].strip():
+        return {"en": value["en"].strip(), "fr": str(value.get("fr") or value["en"]).strip()}
+    raise ValueError(f"projects.json: {what} needs an English text")
+
+
+def _available(src):
+    if re.match(r"^https?://", src):
+        return True
+    path = os.path.abspath(os.path.join(PUBLIC, src))
+    return path.startswith(PUBLIC + os.sep) and os.path.isfile(path)
+
+
+def _clean(project):
+    slug = project.get("slug")
+    if not isinstance(slug, str) or not SLUG.match(slug):
+        raise ValueError(f"projects.json: invalid slug {slug!r}")
+    if project.get("service") not in SERVICES:
+        raise ValueError(f"projects.json: {slug} has unknown service {project.get('service')!r}")
+    try:
+        date.fromisoformat(str(project.get("date")))
+    except ValueError:
+        raise ValueError(f"projects.json: {slug} needs a YYYY-MM-DD date") from None
+    if not isinstance(project.get("cover"), str) or not isinstance(project.get("photos"), list):
+        raise ValueError(f"projects.json: {slug} needs a cover and a list of photos")
+
+    photos, missing = [], []
+    for photo in project["photos"]:
+        if not isinstance(photo, dict) or not isinstance(photo.get("src"), str):
+            raise ValueError(f"projects.json: {slug} has a photo without a src")
+        if not _available(photo["src"]):
+            missing.append(photo["src"])
+            continue
+        caption = _text(photo["caption"], f"{slug} caption") if photo.get("caption") else None
+        photos.append({"src": photo["src"], "caption": caption})
+
+    comparison = project.get("comparison")
+    if comparison is not None:
+        if not isinstance(comparison, dict) or not all(isinstance(comparison.get(k), str) for k in ("before", "after")):
+            raise ValueError(f"projects.json: {slug} comparison needs a before and an after image")
+        orientation = comparison.get("orientation", "horizontal")
+        if orientation not in ORIENTATIONS:
+            raise ValueError(f"projects.json: {slug} comparison orientation must be one of {ORIENTATIONS}")
+        # Half a pair is no comparison
+        gone = [comparison[k] for k in ("before", "after") if not _available(comparison[k])]
+        missing.extend(gone)
+        comparison = None if gone else {"before": comparison["before"], "after": comparison["after"], "orientation": orientation}
+
+    if missing and _available(project["cover"]):
+        log.warning("projects.json: %s: skipped missing photos %s", slug, ", ".join(missing))
+
+    return {
+        "slug": slug,
+        "title": _text(project.get("title"), f"{slug} title"),
+        "service": project["service"],
+        "location": str(project.get("location") or "").strip(),
+        "date": project["date"],
+        "cover": project["cover"],
+        "photos": photos,
+        "comparison": comparison,
+    }
+
+
+def load(path=os.path.join(HERE, "projects.json")):
+    """Validated projects, newest first, without the ones whose cover is missing."""
+    with open(path, encoding="utf-8") as f:
+        data = json.load(f)
+
+    projects, slugs = [], set()
+    for project in data.get("projects", []):
+        project = _clean(project)
+        if project["slug"] in slugs:
+            raise ValueError(f"projects.json: duplicate slug {project['slug']}")
+        slugs.add(project["slug"])
+        if not _available(project["cover"]):
+            log.warning("projects.json: %s hidden until public/%s is uploaded", project["slug"], project["cover"])
+            continue
+        projects.append(project)
+    return sorted(projects, key=lambda project: project["date"], reverse=True)
+
+
+PROJECTS = load()
+
+
+def listing(url):
+    """PROJECTS for the browser, with url(path) turning local image paths into URLs."""
+    def resolve(src):
+        return src if re.match(r"^https?://", src) else url(src)
+
+    def pair(comparison):
+        return comparison and {**comparison, "before": resolve(comparison["before"]), "after": resolve(comparison["after"])}
+
+    return [
+        {
+            **project,
+            "cover": resolve(project["cover"]),
+            "photos": [{**photo, "src": resolve(photo["src"])} for photo in project["photos"]],
+            "comparison": pair(project["comparison"]),
+        }
+        for project in PROJECTS
+    ]
@@ -0,0 +1,203 @@
+"""
+Site-visit scheduling for the quote wizard.
+
+Slots follow the business hours in server/hours.json (business_hours.py),
+so there are none on weekends or holidays. Booked slots are stored in the
+shared SQLite database; the primary key on the start time means two visitors
+racing for the same slot cannot both hold it.
+Slot ids are ISO 8601 start times with the Winnipeg offset, e.g.
+"2026-10-20T09:00:00-05:00".
+"""
+import re
+import uuid
+from contextlib import closing
+from datetime import datetime, timedelta, timezone
+
+import business_hours
+import db
+
+TIMEZONE_NAME = business_hours.TIMEZONE_NAME
+TIMEZONE = business_hours.TIMEZONE
+
+SLOT_MINUTES = 60
+MIN_NOTICE = timedelta(hours=24)
+HORIZON_DAYS = 14
+
+FR_WEEKDAYS = ("lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi", "dimanche")
+FR_MONTHS = ("janvier", "février", "mars", "avril", "mai", "juin", "juillet",
+             "août", "septembre", "octobre", "novembre", "décembre")
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS site_visits (
+    start_utc TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    service TEXT,
+    created_at TEXT NOT NULL
+);
+""")
+
+
+def _utc_key(start):
+    return start.astimezone(timezone.utc).strftime("%Y-%m-%dT%H:%M:%SZ")
+
+
+def _taken(first, last):
+    with closing(db.connect()) as conn:
+        rows = conn.execute(
+            "SELECT start_utc FROM site_visits WHERE start_utc BETWEEN ? AND ?",
+            (_utc_key(first), _utc_key(last)),
+        ).fetchall()
+    return {row["start_utc"] for row in rows}
+
+
+def _day_starts(day):
+    hours = business_hours.hours_on(day)
+    if not hours:
+        return
+    start = datetime.combine(day, hours[0], tzinfo=TIMEZONE)
+    close = datetime.combine(day, hours[1], tzinfo=TIMEZONE)
+    while start + timedelta(minutes=SLOT_MINUTES) <= close:
+        yield start
+        start += timedelta(minutes=SLOT_MINUTES)
+
+
+def availability(now=None):
+    """Open slots grouped by Winnipeg date: [{"date": ..., "slots": [...]}]."""
+    now = (now or datetime.now(timezone.utc)).astimezone(TIMEZONE)
+    today = now.date()
+    days = [today + timedelta(days=i) for i in range(HORIZON_DAYS + 1)]
+    days = [day for day in days if business_hours.hours_on(day)]
+    if not days:
+        return []
+
+    taken = _taken(
+        datetime.combine(days[0], business_hours.hours_on(days[0])[0], tzinfo=TIMEZONE),
+        datetime.combine(days[-1], business_hours.hours_on(days[-1])[1], tzinfo=TIMEZONE),
+    )
+
+    result = []
+    for day in days:
+        slots = [
+            start.isoformat()
+            for start in _day_starts(day)
+            if start - now >= MIN_NOTICE and _utc_key(start) not in taken
+        ]
+        if slots:
+            result.append({"date": day.isoformat(), "slots": slots})
+    return result
+
+
+def parse_slot(value):
+    """Return the slot's start as an aware datetime if it is a bookable time, else None."""
+    try:
+        start = datetime.fromisoformat(str(value))
+    except ValueError:
+        return None
+    if start.tzinfo is None:
+        return None
+
+    start = start.astimezone(TIMEZONE)
+    if start not in set(_day_starts(start.date())):
+        return None
+    return start
+
+
+def is_available(start, now=None):
+    now = now or datetime.now(timezone.utc)
+    if start - now < MIN_NOTICE or start.date() - now.astimezone(TIMEZONE).date() > timedelta(days=HORIZON_DAYS):
+        return False
+    return _utc_key(start) not in _taken(start, start)
+
+
+def hold(start, name, email="", phone="", service=""):
+    """Book a slot; False when someone else already holds it."""
+    try:
+        with closing(db.connect()) as conn, conn:
+            conn.execute(
+                "INSERT INTO site_visits (start_utc, name, email, phone, service, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+                (_utc_key(start), name, email, phone, service, datetime.now(timezone.utc).isoformat()),
+            )
+    except db.sqlite3.IntegrityError:
+        return False
+    return True
+
+
+def release(start):
+    with closing(db.connect()) as conn, conn:
+        conn.execute("DELETE FROM site_visits WHERE start_utc = ?", (_utc_key(start),))
+
+
+def format_slot(start, lang="en"):
+    """Human date and time of a slot in Winnipeg time, e.g. for emails."""
+    local = start.astimezone(TIMEZONE)
+    if lang == "fr":
+        return (
+            f"{FR_WEEKDAYS[local.weekday()]} {local.day} {FR_MONTHS[local.month - 1]} "
+            f"{local.year} à {format_time(local, lang)}"
+        )
+    return f"{local:%A, %B} {local.day}, {local.year} at {format_time(local)}"
+
+
+def format_time(moment, lang="en"):
+    """Winnipeg clock time: "8:00 AM" / "8 h 00"."""
+    local = moment.astimezone(TIMEZONE)
+    if lang == "fr":
+        return f"{local.hour} h {local.minute:02d}"
+    hour = local.hour % 12 or 12
+    suffix = "AM" if local.hour < 12 else "PM"
+    return f"{hour}:{local.minute:02d} {suffix}"
+
+
+def _escape(text):
+    # A raw CR or LF would end the line and let the text add properties of its own
+    text = str(text).replace("\r\n", "\n").replace("\r", "\n")
+    return text.replace("\\", "\\\\").replace(";", "\\;").replace(",", "\\,").replace("\n", "\\n")
+
+
+def _quoted(text):
+    # Parameter values (RFC 5545 3.1) have no escapes, so a quoted one simply
+    # drops " and turns line breaks and other control characters into spaces
+    text = re.sub(r"[\x00-\x1f\x7f]", " ", str(text).replace('"', ""))
+    return '"' + " ".join(text.split()) + '"'
+
+
+def _fold(line):
+    # RFC 5545: lines longer than 75 octets continue on the next line after a space
+    encoded = line.encode("utf-8")
+    parts = []
+    while len(encoded) > 75:
+        cut = 75 if not parts else 74
+        while (encoded[cut] & 0xC0) == 0x80:  # don't split a UTF-8 character
+            cut -= 1
+        parts.append(encoded[:cut].decode("utf-8"))
+        encoded = encoded[cut:]
+    parts.append(encoded.decode("utf-8"))
+    return "\r\n ".join(parts)
+
+
+def build_invite(start, summary, description, organizer, attendee=None, attendee_name="", uid=None):
+    """An iCalendar (.ics) invite for the visit, as text."""
+    end = start + timedelta(minutes=SLOT_MINUTES)
+    stamp = lambda dt: dt.astimezone(timezone.utc).strftime("%Y%m%dT%H%M%SZ")
+
+    lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Excaliber Construction//Site Visits//EN",
+        "METHOD:REQUEST",
+        "BEGIN:VEVENT",
+        f"UID:{uid or uuid.uuid4()}@excaliberconstruction",
+        f"DTSTAMP:{stamp(datetime.now(timezone.utc))}",
+        f"DTSTART:{stamp(start)}",
+        f"DTEND:{stamp(end)}",
+        f"SUMMARY:{_escape(summary)}",
+        f"DESCRIPTION:{_escape(description)}",
+    ]
+    if organizer:
+        lines.append(f"ORGANIZER;CN=Excaliber Construction:mailto:{organizer}")
+    if attendee:
+        lines.append(f"ATTENDEE;CN={_quoted(attendee_name or attendee)};RSVP=TRUE:mailto:{attendee}")
+    lines += ["STATUS:CONFIRMED", "END:VEVENT", "END:VCALENDAR"]
+    return "\r\n".join(_fold(line) for line in lines) + "\r\n"
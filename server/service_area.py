@@ -0,0 +1,72 @@
+"""
+Service-area check on the customer's postal code.
+
+Mirrors public/js/service-area.js: the longest prefix of the postal code found
+in service_area.json gives an area and a centroid, and the centroid's distance
+from our base (Lorette) decides whether the job is inside the usual radius.
+Everything is computed offline from the table.
+"""
+import json
+import math
+import os
+import re
+
+import validation
+
+HERE = os.path.dirname(__file__)
+
+with open(os.path.join(HERE, "service_area.json"), encoding="utf-8") as f:
+    CONFIG = json.load(f)
+
+# Letters D, F, I, O, Q, U are never used; W and Z never start a code
+PATTERN = r"^[ABCEGHJ-NPRSTVXY][0-9][ABCEGHJ-NPRSTV-Z] ?[0-9][ABCEGHJ-NPRSTV-Z][0-9]$"
+
+
+def normalize(value):
+    """Format a postal code as "R2C 1A1"; None when it is not a Canadian one."""
+    compact = re.sub(r"\s+", "", str(value or "")).upper()
+    if not re.match(PATTERN, compact):
+        return None
+    return f"{compact[:3]} {compact[3:]}"
+
+
+def distance_km(a, b):
+    lat1, lat2 = math.radians(a["lat"]), math.radians(b["lat"])
+    d_lat = lat2 - lat1
+    d_lng = math.radians(b["lng"] - a["lng"])
+    h = math.sin(d_lat / 2) ** 2 + math.cos(lat1) * math.cos(lat2) * math.sin(d_lng / 2) ** 2
+    return 6371 * 2 * math.atan2(math.sqrt(h), math.sqrt(1 - h))
+
+
+def lookup(postal_code):
+    """{"postal_code", "area", "distance_km", "inside"} or None for an invalid code."""
+    normalized = normalize(postal_code)
+    if not normalized:
+        return None
+
+    regions = CONFIG.get("regions", {})
+    region = next((regions[normalized[:n]] for n in (3, 2, 1) if normalized[:n] in regions), None)
+
+    distance = None
+    if region and isinstance(region.get("lat"), (int, float)) and isinstance(region.get("lng"), (int, float)):
+        distance = round(distance_km(CONFIG["base"], region))
+
+    return {
+        "postal_code": normalized,
+        "area": region["area"] if region else None,
+        "distance_km": distance,
+        "inside": distance is not None and distance <= CONFIG.get("radiusKm", 0),
+    }
+
+
+# Used by the postal_code rule in rules/contact.json (forms.js registers the same name)
+validation.register_validator("postalCode", lambda v, p: normalize(v) is not None, "validation.postalCode")
+
+
+def describe(result):
+    """One email line tagging the lead, e.g. "Winnipeg, ~25 km from Lorette"."""
+    base = CONFIG["base"]["name"]
+    area = result["area"] or "Unknown area"
+    distance = f"~{result['distance_km']} km from {base}" if result["distance_km"] is not None else "distance unknown"
+    tag = "inside service area" if result["inside"] else "OUTSIDE usual area, travel fee may apply"
+    return f"{area}, {distance} ({tag})"
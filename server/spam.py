@@ -0,0 +1,122 @@
+"""
+Bot protection for the contact endpoint.
+
+Layers, cheapest first:
+  - per-IP rate limit (in memory, so each gunicorn worker counts separately)
+  - honeypot: a "website" field people never see, so only bots fill it in
+  - signed form token issued when the page is rendered; it proves the form
+    came from our page and tells us how long the visitor spent on it. Each
+    token is accepted once: the response to a request that used it carries a
+    fresh one for the next request from the same page.
+
+Tokens are "<issued unix time>.<nonce>.<hmac>" signed with FORM_SECRET. Without
+that variable a random secret is used, which invalidates tokens on every
+restart and differs between gunicorn workers.
+"""
+import hashlib
+import hmac
+import os
+import secrets
+import threading
+import time
+from collections import defaultdict, deque
+from contextlib import closing
+
+import db
+
+HONEYPOT_FIELD = "website"
+TOKEN_FIELD = "form_token"
+
+MIN_SECONDS = 3  # faster than anyone can fill in the wizard
+MAX_AGE = 7 * 24 * 60 * 60  # matches the form's draft lifetime and offline queue
+
+RATE_LIMIT = 5
+RATE_WINDOW = 10 * 60
+
+# Only used when FORM_SECRET is not set
+_FALLBACK_SECRET = secrets.token_hex(32)
+
+db.ensure_schema("""
+CREATE TABLE IF NOT EXISTS used_form_tokens (
+    token TEXT PRIMARY KEY,
+    used_at REAL NOT NULL
+);
+""")
+
+
+def _sign(payload):
+    # Read when used, so a FORM_SECRET from server/.env applies however this module was imported
+    secret = (os.getenv("FORM_SECRET") or _FALLBACK_SECRET).encode()
+    return hmac.new(secret, payload.encode(), hashlib.sha256).hexdigest()
+
+
+def issue_token(now=None):
+    issued = int(now if now is not None else time.time())
+    payload = f"{issued}.{secrets.token_hex(8)}"
+    return f"{payload}.{_sign(payload)}"
+
+
+def check_token(token, now=None):
+    """Return why a token is unacceptable, or None when it is fine."""
+    now = now if now is not None else time.time()
+    payload, _, signature = str(token or "").rpartition(".")
+    issued = payload.partition(".")[0]
+    if not issued.isdigit() or not hmac.compare_digest(signature, _sign(payload)):
+        return "bad-token"
+
+    age = now - int(issued)
+    if age < MIN_SECONDS:
+        return "too-fast"
+    if age > MAX_AGE:
+        return "expired-token"
+    return None
+
+
+def check_submission(data, now=None):
+    """Return the reason a submission looks automated, or None."""
+    if str(data.get(HONEYPOT_FIELD) or "").strip():
+        return "honeypot"
+    return check_token(data.get(TOKEN_FIELD), now)
+
+
+def use_token(token, now=None):
+    """Mark a checked token as spent; False when it was already used.
+
+    Call it once the submission is accepted, so fixing a validation error
+    does not need a new token.
+    """
+    now = now if now is not None else time.time()
+    try:
+        with closing(db.connect()) as conn, conn:
+            # Expired tokens fail check_token anyway
+            conn.execute("DELETE FROM used_form_tokens WHERE used_at < ?", (now - MAX_AGE,))
+            conn.execute("INSERT INTO used_form_tokens (token, used_at) VALUES (?, ?)", (str(token), now))
+    except db.sqlite3.IntegrityError:
+        return False
+    return True
+
+
+class RateLimiter:
+    """Sliding-window counter of requests per key."""
+
+    def __init__(self, limit=RATE_LIMIT, window=RATE_WINDOW):
+        self.limit = limit
+        self.window = window
+        self.hits = defaultdict(deque)
+        self.lock = threading.Lock()
+
+    def allow(self, key, now=None):
+        now = now if now is not None else time.time()
+        with self.lock:
+            hits = self.hits[key]
+            while hits and hits[0] <= now - self.window:
+                hits.popleft()
+            if len(hits) >= self.limit:
+                return False
+            hits.append(now)
+
+            # Forget idle clients so the table does not grow forever
+            if len(self.hits) > 10000:
+                for stale in [k for k, v in self.hits.items() if not v or v[-1] <= now - self.window]:
+                    del self.hits[stale]
+            return True
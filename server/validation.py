@@ -0,0 +1,151 @@
+"""
+Declarative form validation shared with the browser.
+
+Rule files live in server/rules/<form>.json. index.html renders each field's
+rules into a data-validate attribute and FormController (public/js/forms.js)
+runs validators with the same names, so a rule added here must exist on both
+sides. Patterns are written to be valid in both JavaScript and Python regex.
+
+A field rule maps validator names to parameters:
+    {"required": true, "minLength": 2, "messages": {"minLength": "..."}}
+"message" overrides every failure message, "messages" overrides one validator.
+Form-level rules ({"rule": "requireAny", "fields": [...]}) check several fields.
+
+Messages are keys into public/locales/<lang>.json ("validation.required");
+{param} in the translated text is replaced with the validator's parameter.
+"""
+import json
+import os
+import re
+
+RULES_DIR = os.path.join(os.path.dirname(__file__), "rules")
+
+VALIDATORS = {}
+FORM_RULES = {}
+
+
+def register_validator(name, test, message):
+    """test(value, param) -> bool; message is a catalog key."""
+    VALIDATORS[name] = (test, message)
+
+
+def register_form_rule(name, test, message):
+    """test(data, rule) -> bool, where rule is the rule object from the JSON file."""
+    FORM_RULES[name] = (test, message)
+
+
+def load_rules(form):
+    with open(os.path.join(RULES_DIR, f"{form}.json"), encoding="utf-8") as f:
+        return json.load(f)
+
+
+def _text(value):
+    return "" if value is None else str(value)
+
+
+def _number(value):
+    try:
+        return float(value)
+    except (TypeError, ValueError):
+        return None
+
+
+def _search(pattern, value):
+    # JavaScript's "$" only matches at the very end; Python's also matches before a final newline
+    if pattern.endswith("$") and not pattern.endswith("\\$"):
+        pattern = pattern[:-1] + r"\Z"
+    return re.search(pattern, value) is not None
+
+
+def _untranslated(key, **params):
+    return key
+
+
+def _message(rule, name, param, translate):
+    custom = (rule.get("messages") or {}).get(name) or rule.get("message")
+    return translate(custom or VALIDATORS[name][1], param=param)
+
+
+def check_field(rule, value, translate=_untranslated):
+    """Return the first failing message for a value, or None when it passes."""
+    value = _text(value)
+    if not value.strip():
+        return _message(rule, "required", True, translate) if rule.get("required") else None
+
+    for name, param in rule.items():
+        if name in ("required", "message", "messages") or param is False or param is None:
+            continue
+        validator = VALIDATORS.get(name)
+        if validator is None:
+            # Browser-only validator (registered via FormController.registerValidator)
+            continue
+        if not validator[0](value, param):
+            return _message(rule, name, param, translate)
+    return None
+
+
+def validate(rules, data, details=None, detail_fields=(), translate=_untranslated):
+    """Validate a submission; returns {field: message} for every failing field.
+
+    translate(key, **params) turns message keys into text (see server/i18n.py).
+    """
+    errors = {}
+
+    for field, rule in rules.get("fields", {}).items():
+        message = check_field(rule, data.get(field), translate)
+        if message:
+            errors[field] = message
+
+    details = details if isinstance(details, dict) else {}
+    detail_rules = rules.get("details", {})
+    for field in detail_fields:
+        message = check_field(detail_rules.get(field, {}), details.get(field), translate)
+        if message:
+            errors[field] = message
+
+    for rule in rules.get("form", []):
+        form_rule = FORM_RULES.get(rule.get("rule"))
+        if form_rule and not form_rule[0](data, rule):
+            first = (rule.get("fields") or ["form"])[0]
+            errors.setdefault(first, translate(rule.get("message") or form_rule[1]))
+
+    return errors
+
+
+# Built-in validators (mirror setupValidators in public/js/forms.js)
+register_validator("required", lambda v, p: bool(v.strip()), "validation.required")
+register_validator(
+    "email",
+    lambda v, p: _search(r"^[^\s@]+@[^\s@]+\.[^\s@]+$", v),
+    "validation.email",
+)
+register_validator(
+    "phone",
+    lambda v, p: _search(r"^[+]?[0-9 \-()]{10,}$", v),
+    "validation.phone",
+)
+register_validator(
+    "integer",
+    lambda v, p: _search(r"^[0-9]+$", v.strip()),
+    "validation.integer",
+)
+register_validator("minLength", lambda v, p: len(v.strip()) >= p, "validation.minLength")
+register_validator("maxLength", lambda v, p: len(v) <= p, "validation.maxLength")
+register_validator(
+    "min",
+    lambda v, p: _number(v) is not None and _number(v) >= p,
+    "validation.min",
+)
+register_validator(
+    "max",
+    lambda v, p: _number(v) is not None and _number(v) <= p,
+    "validation.max",
+)
+register_validator("pattern", lambda v, p: _search(p, v), "validation.pattern")
+register_validator("oneOf", lambda v, p: v in p, "validation.oneOf")
+
+register_form_rule(
+    "requireAny",
+    lambda data, rule: any(_text(data.get(f)).strip() for f in rule.get("fields", [])),
+    "validation.requireAny",
+)